@@ -0,0 +1,235 @@
+// Cartoon (ribbon) geometry built on the CA backbone trace
+
+/**
+ * Generates cartoon geometry from a backbone trace
+ * A Catmull-Rom spline through each fragment's CA atoms is swept with a
+ * cross-section that depends on secondary structure: round tubes for coil,
+ * flat ribbons for helices and flat arrows for strands.
+ * @param {Object} backboneTrace - Data from extractBackboneTrace
+ * @param {number} scale - Scale factor for coordinates
+ * @param {Object} options - Visualization options (sizes in Angstroms) and
+ *   colorFn: CA atom => [r, g, b], chain colors by default
+ * @returns {Object} Geometry {vertices, normals, colors, indices}
+ */
+function generateCartoonGeometry(backboneTrace, scale = 1.0, options = {}) {
+    const samplesPerResidue = options.samplesPerResidue || 6;
+    const profileSides = options.profileSides || 8;
+    const sizes = {
+        coilRadius: options.coilRadius || 0.3,
+        helixWidth: options.helixWidth || 1.4,
+        helixThickness: options.helixThickness || 0.25,
+        sheetWidth: options.sheetWidth || 1.6,
+        sheetThickness: options.sheetThickness || 0.3,
+        arrowWidth: options.arrowWidth || 2.6
+    };
+
+    const vertices = [];
+    const normals = [];
+    const colors = [];
+    const indices = [];
+
+    const chainColorMap = getChainColorMap(backboneTrace.chains);
+    const colorFn = options.colorFn || (atom => chainColorMap[atom.chainId || 'A'] || [0.8, 0.8, 0.8]);
+
+    for (const fragment of backboneTrace.fragments) {
+        if (fragment.length < 2) continue;
+
+        const points = fragment.map(ca => [ca.x * scale, ca.y * scale, ca.z * scale]);
+        const guides = computeGuideNormals(points);
+        const sheetEnds = findSheetEnds(fragment);
+
+        const firstRing = vertices.length / 3;
+        let ringCount = 0;
+        let previousNormal = null;
+
+        // Walk the spline in parameter u, where integer u lands on residue u
+        const sampleCount = (fragment.length - 1) * samplesPerResidue;
+        for (let s = 0; s <= sampleCount; s++) {
+            const u = s / samplesPerResidue;
+            const i = Math.min(Math.floor(u), fragment.length - 2);
+            const f = u - i;
+
+            const position = catmullRom(points, i, f);
+            const tangent = normalizeVec3(catmullRomTangent(points, i, f));
+
+            // Interpolated guide, made perpendicular to the tangent and kept from flipping
+            let normal = lerpVec3(guides[i], guides[i + 1], f);
+            normal = normalizeVec3(subtractVec3(normal, scaleVec3(tangent, dotVec3(normal, tangent))));
+            if (previousNormal && dotVec3(normal, previousNormal) < 0) {
+                normal = scaleVec3(normal, -1);
+            }
+            previousNormal = normal;
+            const binormal = crossVec3(tangent, normal);
+
+            // Cross-section half-extents along the binormal (width) and normal (thickness)
+            const [halfWidth, halfThickness] = cartoonProfile(fragment, sheetEnds, u, sizes);
+            const w = halfWidth * scale;
+            const h = halfThickness * scale;
+
+            // Each ring takes the color of its nearest residue
+            const color = colorFn(fragment[Math.min(Math.round(u), fragment.length - 1)].atom);
+
+            for (let k = 0; k < profileSides; k++) {
+                const theta = k * 2 * Math.PI / profileSides;
+                const cos = Math.cos(theta);
+                const sin = Math.sin(theta);
+
+                vertices.push(
+                    position[0] + binormal[0] * w * cos + normal[0] * h * sin,
+                    position[1] + binormal[1] * w * cos + normal[1] * h * sin,
+                    position[2] + binormal[2] * w * cos + normal[2] * h * sin
+                );
+
+                // Ellipse normal: gradient of (x/w)² + (y/h)²
+                const nx = cos / w;
+                const ny = sin / h;
+                const n = normalizeVec3([
+                    binormal[0] * nx + normal[0] * ny,
+                    binormal[1] * nx + normal[1] * ny,
+                    binormal[2] * nx + normal[2] * ny
+                ]);
+                normals.push(n[0], n[1], n[2]);
+
+                colors.push(color[0], color[1], color[2]);
+            }
+            ringCount++;
+        }
+
+        // Connect consecutive rings with quads
+        for (let r = 0; r < ringCount - 1; r++) {
+            for (let k = 0; k < profileSides; k++) {
+                const a = firstRing + r * profileSides + k;
+                const b = firstRing + r * profileSides + (k + 1) % profileSides;
+                const c = a + profileSides;
+                const d = b + profileSides;
+
+                indices.push(a, c, b);
+                indices.push(b, c, d);
+            }
+        }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        normals: new Float32Array(normals),
+        colors: new Float32Array(colors),
+        indices: createIndexArray(indices, vertices.length / 3)
+    };
+}
+
+/**
+ * Cross-section half-extents [halfWidth, halfThickness] at spline parameter u
+ * Each sample takes the secondary structure of its nearest residue; the last
+ * residue interval of a strand tapers from the arrow head down to a coil tube.
+ */
+function cartoonProfile(fragment, sheetEnds, u, sizes) {
+    const residue = Math.min(Math.round(u), fragment.length - 1);
+    const ss = fragment[residue].ss;
+
+    if (ss === 'helix') {
+        return [sizes.helixWidth / 2, sizes.helixThickness / 2];
+    }
+
+    if (ss === 'sheet') {
+        const end = sheetEnds[residue];
+        if (u >= end - 1 && end > 0) {
+            const t = Math.min(1, u - (end - 1));
+            const halfWidth = (1 - t) * sizes.arrowWidth / 2 + t * sizes.coilRadius;
+            return [halfWidth, sizes.sheetThickness / 2];
+        }
+        return [sizes.sheetWidth / 2, sizes.sheetThickness / 2];
+    }
+
+    return [sizes.coilRadius, sizes.coilRadius];
+}
+
+/**
+ * Index of the last residue of the strand each sheet residue belongs to
+ */
+function findSheetEnds(fragment) {
+    const ends = new Array(fragment.length).fill(-1);
+    let end = -1;
+
+    for (let i = fragment.length - 1; i >= 0; i--) {
+        if (fragment[i].ss !== 'sheet') {
+            end = -1;
+            continue;
+        }
+        if (end < 0) end = i;
+        ends[i] = end;
+    }
+
+    return ends;
+}
+
+/**
+ * Per-CA guide vectors pointing away from the neighbours' midpoint
+ * For helices this is radial to the helix axis; for strands it follows the pleat.
+ * Consecutive guides are flipped to stay on the same side to avoid twisting.
+ */
+function computeGuideNormals(points) {
+    const guides = [];
+
+    for (let i = 0; i < points.length; i++) {
+        let guide = null;
+        if (i > 0 && i < points.length - 1) {
+            const toPrev = subtractVec3(points[i - 1], points[i]);
+            const toNext = subtractVec3(points[i + 1], points[i]);
+            guide = scaleVec3(addVec3(toPrev, toNext), -1);
+        }
+
+        if (!guide || lengthVec3(guide) < 1e-6) {
+            guide = null;
+        } else {
+            guide = normalizeVec3(guide);
+            if (guides.length > 0 && guides[guides.length - 1] && dotVec3(guide, guides[guides.length - 1]) < 0) {
+                guide = scaleVec3(guide, -1);
+            }
+        }
+        guides.push(guide);
+    }
+
+    // Fill ends and straight stretches from the nearest defined guide
+    const fallback = guides.find(g => g) || perpendicularVec3(subtractVec3(points[1], points[0]));
+    let last = fallback;
+    for (let i = 0; i < guides.length; i++) {
+        if (guides[i]) {
+            last = guides[i];
+        } else {
+            guides[i] = last;
+        }
+    }
+
+    return guides;
+}
+
+// Uniform Catmull-Rom spline through points, on the interval [i, i + 1]
+function catmullRom(points, i, t) {
+    const p0 = points[Math.max(i - 1, 0)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(i + 2, points.length - 1)];
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    return [0, 1, 2].map(k => 0.5 * (
+        2 * p1[k] +
+        (-p0[k] + p2[k]) * t +
+        (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * t2 +
+        (-p0[k] + 3 * p1[k] - 3 * p2[k] + p3[k]) * t3
+    ));
+}
+
+function catmullRomTangent(points, i, t) {
+    const p0 = points[Math.max(i - 1, 0)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(i + 2, points.length - 1)];
+    const t2 = t * t;
+
+    return [0, 1, 2].map(k => 0.5 * (
+        (-p0[k] + p2[k]) +
+        2 * (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * t +
+        3 * (-p0[k] + 3 * p1[k] - 3 * p2[k] + p3[k]) * t2
+    ));
+}
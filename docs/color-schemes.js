@@ -0,0 +1,239 @@
+// Color schemes mapping atom records to colors, shared by every representation
+
+/**
+ * Registered color schemes by id
+ * Each scheme is {name, create(atoms, options)}, where create returns
+ * {colorOf: atom => [r, g, b], legend}. A legend is either
+ * {title, entries: [{label, color}, ...]} or {title, gradient: [color, ...], minLabel, maxLabel}.
+ */
+const colorSchemes = {};
+
+/**
+ * Add a color scheme, or replace the one with the same id
+ * @param {string} id - Key used in debugSettings.colorScheme
+ * @param {Object} scheme - {name, create(atoms, options)}
+ */
+function registerColorScheme(id, scheme) {
+    colorSchemes[id] = scheme;
+}
+
+/**
+ * Set up a color scheme for a set of atoms
+ * Schemes that depend on the data (chains, B-factor range, residue order) look at all atoms.
+ * @param {string} id - Registered scheme id
+ * @param {Array} atoms - Atom records from parsePDB or parseMMCIF
+ * @param {Object} options - Scheme options, e.g. {residueColors} for 'custom'
+ * @returns {Object} {colorOf: atom => [r, g, b], legend}
+ */
+function createColorScheme(id, atoms, options = {}) {
+    const scheme = colorSchemes[id];
+    if (!scheme) {
+        throw new Error(`Unknown color scheme: ${id}`);
+    }
+    return scheme.create(atoms, options);
+}
+
+// '#rrggbb' color string to [r, g, b] in 0..1
+function hexToRGB(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+}
+
+// [r, g, b] in 0..1 to a CSS color string
+function rgbToCSS(color) {
+    return `rgb(${color.map(v => Math.round(v * 255)).join(', ')})`;
+}
+
+/**
+ * Color at t (0..1) along evenly spaced gradient stops
+ */
+function sampleGradient(stops, t) {
+    const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+    const i = Math.min(Math.floor(position), stops.length - 2);
+    return lerpVec3(stops[i], stops[i + 1], position - i);
+}
+
+// Legend entries for the distinct values of key(atom), in order of appearance
+function legendEntries(atoms, key, colorOf) {
+    const seen = new Map();
+    for (const atom of atoms) {
+        const label = key(atom);
+        if (!seen.has(label)) seen.set(label, colorOf(atom));
+    }
+    return [...seen].map(([label, color]) => ({ label, color }));
+}
+
+const unknownResidueColor = [0.75, 0.63, 0.43];
+
+// RasMol "amino" colors, grouping residues with similar side chains
+const residueNameColors = {
+    'ASP': [0.90, 0.04, 0.04], 'GLU': [0.90, 0.04, 0.04],
+    'CYS': [0.90, 0.90, 0.00], 'MET': [0.90, 0.90, 0.00],
+    'LYS': [0.08, 0.35, 1.00], 'ARG': [0.08, 0.35, 1.00],
+    'SER': [0.98, 0.59, 0.00], 'THR': [0.98, 0.59, 0.00],
+    'PHE': [0.20, 0.20, 0.67], 'TYR': [0.20, 0.20, 0.67],
+    'ASN': [0.00, 0.86, 0.86], 'GLN': [0.00, 0.86, 0.86],
+    'GLY': [0.92, 0.92, 0.92],
+    'LEU': [0.06, 0.51, 0.06], 'VAL': [0.06, 0.51, 0.06], 'ILE': [0.06, 0.51, 0.06],
+    'ALA': [0.78, 0.78, 0.78],
+    'TRP': [0.71, 0.35, 0.71],
+    'HIS': [0.51, 0.51, 0.82],
+    'PRO': [0.86, 0.59, 0.51]
+};
+
+// Kyte & Doolittle (1982) hydropathy index
+const hydrophobicityScale = {
+    'ILE': 4.5, 'VAL': 4.2, 'LEU': 3.8, 'PHE': 2.8, 'CYS': 2.5, 'MET': 1.9, 'ALA': 1.8,
+    'GLY': -0.4, 'THR': -0.7, 'SER': -0.8, 'TRP': -0.9, 'TYR': -1.3, 'PRO': -1.6,
+    'HIS': -3.2, 'GLU': -3.5, 'GLN': -3.5, 'ASP': -3.5, 'ASN': -3.5, 'LYS': -3.9, 'ARG': -4.5
+};
+
+const secondaryStructureColors = {
+    helix: [1.0, 0.0, 0.5],
+    sheet: [1.0, 0.8, 0.0],
+    coil: [0.8, 0.8, 0.8]
+};
+
+// Blue for low, white for the middle, red for high values
+const divergingGradient = [[0.2, 0.3, 1.0], [1.0, 1.0, 1.0], [1.0, 0.2, 0.2]];
+
+// Hue sweep from blue at the N-terminus to red at the C-terminus
+const rainbowGradient = [[0.0, 0.0, 1.0], [0.0, 1.0, 1.0], [0.0, 1.0, 0.0], [1.0, 1.0, 0.0], [1.0, 0.0, 0.0]];
+
+registerColorScheme('element', {
+    name: 'Element',
+    create(atoms) {
+        const colorOf = atom => getCPKColor(atom.element);
+        return { colorOf, legend: { title: 'Element', entries: legendEntries(atoms, atom => atom.element, colorOf) } };
+    }
+});
+
+registerColorScheme('chain', {
+    name: 'Chain',
+    create(atoms) {
+        const chainIds = [...new Set(atoms.map(atom => atom.chainId || 'A'))];
+        const chainColorMap = getChainColorMap(chainIds);
+        const colorOf = atom => chainColorMap[atom.chainId || 'A'];
+        return { colorOf, legend: { title: 'Chain', entries: legendEntries(atoms, atom => atom.chainId || 'A', colorOf) } };
+    }
+});
+
+registerColorScheme('residue', {
+    name: 'Residue name',
+    create(atoms) {
+        const colorOf = atom => residueNameColors[atom.resName] || unknownResidueColor;
+        return { colorOf, legend: { title: 'Residue', entries: legendEntries(atoms, atom => atom.resName, colorOf) } };
+    }
+});
+
+registerColorScheme('ss', {
+    name: 'Secondary structure',
+    create() {
+        const colorOf = atom => secondaryStructureColors[atom.ss] || secondaryStructureColors.coil;
+        const entries = Object.keys(secondaryStructureColors).map(ss => ({ label: ss, color: secondaryStructureColors[ss] }));
+        return { colorOf, legend: { title: 'Secondary structure', entries } };
+    }
+});
+
+registerColorScheme('bfactor', {
+    name: 'B-factor',
+    create(atoms) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const atom of atoms) {
+            min = Math.min(min, atom.tempFactor);
+            max = Math.max(max, atom.tempFactor);
+        }
+        const range = max > min ? max - min : 1;
+
+        const colorOf = atom => sampleGradient(divergingGradient, (atom.tempFactor - min) / range);
+        return {
+            colorOf,
+            legend: { title: 'B-factor (Å²)', gradient: divergingGradient, minLabel: min.toFixed(1), maxLabel: max.toFixed(1) }
+        };
+    }
+});
+
+registerColorScheme('hydrophobicity', {
+    name: 'Hydrophobicity',
+    create() {
+        // Hydrophilic residues blue, hydrophobic red; non-amino acids take the neutral middle
+        const colorOf = atom => {
+            const value = hydrophobicityScale[atom.resName];
+            return value === undefined ? [0.7, 0.7, 0.7] : sampleGradient(divergingGradient, (value + 4.5) / 9);
+        };
+        return {
+            colorOf,
+            legend: { title: 'Hydropathy (Kyte-Doolittle)', gradient: divergingGradient, minLabel: '-4.5', maxLabel: '4.5' }
+        };
+    }
+});
+
+registerColorScheme('rainbow', {
+    name: 'Rainbow N→C',
+    create(atoms) {
+        // Position of each residue along its chain, per model so overlays match
+        const chainKey = atom => `${atom.model || 1}|${atom.chainId}`;
+        const residueKey = atom => `${chainKey(atom)}|${atom.resSeq}|${atom.iCode}`;
+        const chainResidues = new Map();
+        for (const atom of atoms) {
+            const residues = chainResidues.get(chainKey(atom)) || new Map();
+            if (!residues.has(residueKey(atom))) residues.set(residueKey(atom), residues.size);
+            chainResidues.set(chainKey(atom), residues);
+        }
+
+        const colorOf = atom => {
+            const residues = chainResidues.get(chainKey(atom));
+            const t = residues.size > 1 ? residues.get(residueKey(atom)) / (residues.size - 1) : 0;
+            return sampleGradient(rainbowGradient, t);
+        };
+        return { colorOf, legend: { title: 'Sequence', gradient: rainbowGradient, minLabel: 'N', maxLabel: 'C' } };
+    }
+});
+
+registerColorScheme('custom', {
+    name: 'Custom residues',
+    create(atoms, options) {
+        const rules = parseResidueColorMap(options.residueColors || '');
+        const colorOf = atom => {
+            const rule = rules.find(r => (!r.chainId || r.chainId === atom.chainId) &&
+                atom.resSeq >= r.start && atom.resSeq <= r.end);
+            return rule ? rule.color : [0.7, 0.7, 0.7];
+        };
+        const entries = rules.map(rule => ({ label: rule.label, color: rule.color }));
+        entries.push({ label: 'other', color: [0.7, 0.7, 0.7] });
+        return { colorOf, legend: { title: 'Custom', entries } };
+    }
+});
+
+/**
+ * Parses a per-residue color map such as "A:10-40=#ff0000, B:5=#00ff00, 60=#0000ff"
+ * Each entry is [chain:]resSeq[-resSeq]=#rrggbb; the first matching entry wins.
+ * Malformed entries are skipped with a warning.
+ * @param {string} text - Comma or semicolon separated entries
+ * @returns {Array} Rules [{chainId, start, end, color, label}, ...]; chainId is null for any chain
+ */
+function parseResidueColorMap(text) {
+    const rules = [];
+
+    for (const entry of text.split(/[,;]/)) {
+        if (!entry.trim()) continue;
+
+        const match = entry.trim().match(/^(?:(\w+):)?(-?\d+)(?:-(-?\d+))?\s*=\s*(#[0-9a-f]{6})$/i);
+        if (!match) {
+            console.warn(`Skipping residue color entry "${entry.trim()}"`);
+            continue;
+        }
+
+        const [, chainId, start, end, hex] = match;
+        rules.push({
+            chainId: chainId || null,
+            start: parseInt(start),
+            end: parseInt(end !== undefined ? end : start),
+            color: hexToRGB(hex),
+            label: entry.trim().split('=')[0].trim()
+        });
+    }
+
+    return rules;
+}
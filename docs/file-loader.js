@@ -0,0 +1,87 @@
+// Local file loader for structures and meshes picked or dropped by the user
+// Parses with parsePDB, parseMMCIF and parseOBJ; nothing is fetched over the network
+
+// Format by file extension, after any .gz suffix is removed
+const localFileFormats = {
+    pdb: 'pdb',
+    ent: 'pdb',
+    cif: 'cif',
+    mmcif: 'cif',
+    obj: 'obj'
+};
+
+/**
+ * Reads and parses a local .pdb, .ent, .cif or .obj file, optionally gzipped
+ * @param {File} file - From a file input or a drop event
+ * @param {Object} options - Parsing options passed to parsePDB or parseMMCIF
+ * @returns {Promise<Object>} {format: 'pdb'|'cif', proteinData} or {format: 'obj', geometry}
+ */
+async function loadLocalFile(file, options = {}) {
+    const format = getLocalFileFormat(file.name);
+    if (!format) {
+        throw new Error(`Unsupported file type: ${file.name}`);
+    }
+
+    const text = await readTextContent(file);
+
+    if (format === 'obj') {
+        const geometry = parseOBJ(text);
+        if (geometry.indices.length === 0) {
+            throw new Error(`No faces found in ${file.name}`);
+        }
+        return { format, geometry };
+    }
+
+    return { format, proteinData: parseStructureText(text, format, file.name, options) };
+}
+
+/**
+ * Parses PDB or mmCIF text, rejecting files without any atoms
+ * @param {string} text - File content
+ * @param {string} format - 'pdb' or 'cif'
+ * @param {string} name - File name or URL for the error message
+ * @param {Object} options - Parsing options passed to parsePDB or parseMMCIF
+ * @returns {Object} Protein data
+ */
+function parseStructureText(text, format, name, options = {}) {
+    const proteinData = format === 'cif' ? parseMMCIF(text, options) : parsePDB(text, options);
+    if (proteinData.atoms.length === 0) {
+        throw new Error(`No atoms found in ${name}`);
+    }
+    return proteinData;
+}
+
+/**
+ * Format of a file from its name, e.g. '1abc.ent.gz' is 'pdb'
+ * @param {string} fileName - File name or URL path with extension
+ * @returns {string|null} 'pdb', 'cif', 'obj', or null if unsupported
+ */
+function getLocalFileFormat(fileName) {
+    const match = fileName.toLowerCase().replace(/\.gz$/, '').match(/\.(\w+)$/);
+    return match ? localFileFormats[match[1]] || null : null;
+}
+
+/**
+ * Format of structure text from its content, for downloads whose URL has no extension
+ * mmCIF files open with a data_ block header, possibly after comments; anything else is read as PDB.
+ * @param {string} text - File content
+ * @returns {string} 'cif' or 'pdb'
+ */
+function detectStructureFormat(text) {
+    return /^(?:\s*#[^\n]*\n)*\s*data_/.test(text) ? 'cif' : 'pdb';
+}
+
+/**
+ * Contents of a File, Blob or fetch Response as text, decompressed first if it is gzipped
+ * Gzip is recognised by its magic bytes, so the .gz suffix is optional.
+ */
+async function readTextContent(source) {
+    const bytes = new Uint8Array(await source.arrayBuffer());
+
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return await new Response(stream).text();
+    }
+
+    return new TextDecoder().decode(bytes);
+}
@@ -1,5 +1,17 @@
 // Geometry factory functions for WebGL primitives
 
+/**
+ * Creates the index array for a mesh, sized for its vertex count
+ * 16-bit indices only address 65,536 vertices; larger meshes get 32-bit indices,
+ * which need WebGL2 or OES_element_index_uint to draw (or splitMeshGeometry).
+ * @param {Array} indices - Triangle vertex indices
+ * @param {number} vertexCount - Number of vertices the indices refer to
+ * @returns {Uint16Array|Uint32Array} Index array
+ */
+function createIndexArray(indices, vertexCount) {
+    return vertexCount > 65536 ? new Uint32Array(indices) : new Uint16Array(indices);
+}
+
 /**
  * Creates cube geometry data
  * @param {number} size - Half-extent of the cube (default: 1.0)
@@ -149,7 +161,7 @@ function createSphere(radius = 1.0, latitudeBands = 30, longitudeBands = 30) {
     return {
         vertices: new Float32Array(vertices),
         normals: new Float32Array(normals),
-        indices: new Uint16Array(indices)
+        indices: createIndexArray(indices, vertices.length / 3)
     };
 }
 
@@ -203,7 +215,7 @@ function createCylinder(radiusTop = 1.0, radiusBottom = 1.0, height = 2.0, radia
     return {
         vertices: new Float32Array(vertices),
         normals: new Float32Array(normals),
-        indices: new Uint16Array(indices)
+        indices: createIndexArray(indices, vertices.length / 3)
     };
 }
 
@@ -251,6 +263,108 @@ function createPlane(width = 2.0, height = 2.0, widthSegments = 1, heightSegment
     return {
         vertices: new Float32Array(vertices),
         normals: new Float32Array(normals),
-        indices: new Uint16Array(indices)
+        indices: createIndexArray(indices, vertices.length / 3)
     };
-}
\ No newline at end of file
+}
+/**
+ * Splits a mesh into pieces that can each be drawn with 16-bit indices
+ * @param {Object} geometry - Geometry with vertices and indices, plus optional normals and colors
+ * @param {number} maxVertices - Maximum vertices per piece (default: 65536)
+ * @returns {Array} Geometries with the same attributes and Uint16Array indices
+ */
+function splitMeshGeometry(geometry, maxVertices = 65536) {
+    const vertexCount = geometry.vertices.length / 3;
+    if (vertexCount <= maxVertices) {
+        return [Object.assign({}, geometry, { indices: new Uint16Array(geometry.indices) })];
+    }
+
+    const attributes = ['vertices', 'normals', 'colors'].filter(name => geometry[name]);
+    const chunks = [];
+    let remap = new Map();
+    let chunkIndices = [];
+
+    const finishChunk = () => {
+        if (chunkIndices.length === 0) return;
+
+        const chunk = { indices: new Uint16Array(chunkIndices) };
+        for (const name of attributes) {
+            const data = new Float32Array(remap.size * 3);
+            for (const [oldIndex, newIndex] of remap) {
+                data[newIndex * 3] = geometry[name][oldIndex * 3];
+                data[newIndex * 3 + 1] = geometry[name][oldIndex * 3 + 1];
+                data[newIndex * 3 + 2] = geometry[name][oldIndex * 3 + 2];
+            }
+            chunk[name] = data;
+        }
+        chunks.push(chunk);
+
+        remap = new Map();
+        chunkIndices = [];
+    };
+
+    for (let i = 0; i < geometry.indices.length; i += 3) {
+        // Start a new piece if this triangle could overflow the current one
+        if (remap.size + 3 > maxVertices) {
+            finishChunk();
+        }
+
+        for (let k = 0; k < 3; k++) {
+            const oldIndex = geometry.indices[i + k];
+            let newIndex = remap.get(oldIndex);
+            if (newIndex === undefined) {
+                newIndex = remap.size;
+                remap.set(oldIndex, newIndex);
+            }
+            chunkIndices.push(newIndex);
+        }
+    }
+    finishChunk();
+
+    return chunks;
+}
+
+// ===== VECTOR HELPERS =====
+// [x, y, z] arrays, shared by the cartoon, camera, measurement and color code
+
+function addVec3(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function subtractVec3(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function scaleVec3(a, s) {
+    return [a[0] * s, a[1] * s, a[2] * s];
+}
+
+function dotVec3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function crossVec3(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function lengthVec3(a) {
+    return Math.sqrt(dotVec3(a, a));
+}
+
+function normalizeVec3(a) {
+    const length = lengthVec3(a);
+    return length > 0 ? scaleVec3(a, 1 / length) : [0, 1, 0];
+}
+
+function lerpVec3(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+// Any unit vector perpendicular to a
+function perpendicularVec3(a) {
+    const axis = Math.abs(a[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    return normalizeVec3(crossVec3(a, axis));
+}
@@ -0,0 +1,85 @@
+// Distance, angle and dihedral measurements between atom records
+
+// Number of atoms picked for each measurement type
+const measurementAtomCounts = {
+    distance: 2,
+    angle: 3,
+    dihedral: 4
+};
+
+/**
+ * Measures 2 atoms (distance), 3 atoms (angle at the middle atom)
+ * or 4 atoms (dihedral around the middle bond)
+ * @param {Array} atoms - Atom records with x, y, z in Angstroms
+ * @returns {Object} Measurement {type, value, label}; angles are in degrees
+ */
+function createMeasurement(atoms) {
+    const points = atoms.map(atom => [atom.x, atom.y, atom.z]);
+
+    if (points.length === 2) {
+        const value = lengthVec3(subtractVec3(points[1], points[0]));
+        return { type: 'distance', value, label: `${value.toFixed(2)} Å` };
+    }
+    if (points.length === 3) {
+        const value = measureAngle(...points);
+        return { type: 'angle', value, label: `${value.toFixed(1)}°` };
+    }
+    if (points.length === 4) {
+        const value = measureDihedral(...points);
+        return { type: 'dihedral', value, label: `${value.toFixed(1)}°` };
+    }
+
+    throw new Error(`Cannot measure ${points.length} atoms`);
+}
+
+/**
+ * Angle a-b-c at b in degrees
+ */
+function measureAngle(a, b, c) {
+    const ba = normalizeVec3(subtractVec3(a, b));
+    const bc = normalizeVec3(subtractVec3(c, b));
+    const cos = Math.max(-1, Math.min(1, dotVec3(ba, bc)));
+    return Math.acos(cos) * 180 / Math.PI;
+}
+
+/**
+ * Dihedral a-b-c-d in degrees, -180 to 180
+ * Positive when a is turned clockwise onto d looking down b→c (IUPAC convention).
+ */
+function measureDihedral(a, b, c, d) {
+    const b1 = subtractVec3(b, a);
+    const b2 = subtractVec3(c, b);
+    const b3 = subtractVec3(d, c);
+    const n1 = crossVec3(b1, b2);
+    const n2 = crossVec3(b2, b3);
+
+    const y = lengthVec3(b2) * dotVec3(b1, n2);
+    const x = dotVec3(n1, n2);
+    return Math.atan2(y, x) * 180 / Math.PI;
+}
+
+/**
+ * Dash end points along a polyline, for drawing as GL lines
+ * @param {Array} points - Polyline corners [[x, y, z], ...]
+ * @param {number} dashLength - Length of each dash
+ * @param {number} gapLength - Space between dashes
+ * @returns {Array} Flat list of dash start and end coordinates
+ */
+function createDashedPolyline(points, dashLength, gapLength) {
+    const positions = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const direction = subtractVec3(points[i + 1], start);
+        const length = lengthVec3(direction);
+        if (length === 0) continue;
+
+        for (let along = 0; along < length; along += dashLength + gapLength) {
+            const end = Math.min(along + dashLength, length);
+            positions.push(...lerpVec3(start, points[i + 1], along / length));
+            positions.push(...lerpVec3(start, points[i + 1], end / length));
+        }
+    }
+
+    return positions;
+}
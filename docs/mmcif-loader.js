@@ -0,0 +1,291 @@
+// mmCIF / PDBx file loader producing the same protein data as pdb-loader.js
+
+/**
+ * Loads and parses an mmCIF file
+ * @param {string} url - URL to the .cif file
+ * @param {Object} options - Parsing options, see parseMMCIF
+ * @returns {Promise<Object>} Promise resolving to protein data
+ */
+async function loadMMCIF(url, options = {}) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load mmCIF: ${response.statusText}`);
+        }
+        const text = await response.text();
+        return parseMMCIF(text, options);
+    } catch (error) {
+        console.error('Error loading mmCIF file:', error);
+        throw error;
+    }
+}
+
+/**
+ * Parses mmCIF file text content
+ * Reads the _atom_site category into the same atom records as parsePDB,
+ * split into models by pdbx_PDB_model_num, with secondary structure from
+ * _struct_conf and _struct_sheet_range
+ * @param {string} text - mmCIF file content as string
+ * @param {Object} options - {altLoc: 'highest' (default), 'all', or an altLoc id such as 'B'}
+ * @returns {Object} Protein data {atoms, bonds, models: [{id, atoms, bonds}, ...], secondaryStructure}
+ */
+function parseMMCIF(text, options = {}) {
+    const categories = parseCIF(text);
+    const atomSite = categories['_atom_site'];
+    if (!atomSite) {
+        throw new Error('mmCIF file has no _atom_site category');
+    }
+
+    const column = (...names) => {
+        for (const name of names) {
+            const index = atomSite.columns.indexOf(name);
+            if (index >= 0) return index;
+        }
+        return -1;
+    };
+    const value = (row, index) => (index >= 0 ? row[index] : null);
+
+    // Prefer author fields, which match the numbering used in PDB files
+    const cols = {
+        group: column('group_PDB'),
+        serial: column('id'),
+        element: column('type_symbol'),
+        name: column('auth_atom_id', 'label_atom_id'),
+        altLoc: column('label_alt_id'),
+        resName: column('auth_comp_id', 'label_comp_id'),
+        chainId: column('auth_asym_id', 'label_asym_id'),
+        resSeq: column('auth_seq_id', 'label_seq_id'),
+        iCode: column('pdbx_PDB_ins_code'),
+        x: column('Cartn_x'),
+        y: column('Cartn_y'),
+        z: column('Cartn_z'),
+        occupancy: column('occupancy'),
+        tempFactor: column('B_iso_or_equiv'),
+        charge: column('pdbx_formal_charge'),
+        model: column('pdbx_PDB_model_num')
+    };
+
+    const modelAtoms = [];
+    const modelIds = [];
+    for (const row of atomSite.rows) {
+        const group = value(row, cols.group);
+        if (group && group !== 'ATOM' && group !== 'HETATM') continue;
+
+        const name = value(row, cols.name) || '';
+        const element = value(row, cols.element);
+        const atom = {
+            serial: parseInt(value(row, cols.serial)),
+            name: name,
+            altLoc: value(row, cols.altLoc) || '',
+            resName: value(row, cols.resName) || '',
+            chainId: value(row, cols.chainId) || '',
+            resSeq: parseInt(value(row, cols.resSeq)),
+            iCode: value(row, cols.iCode) || '',
+            x: parseFloat(value(row, cols.x)),
+            y: parseFloat(value(row, cols.y)),
+            z: parseFloat(value(row, cols.z)),
+            occupancy: parseFloatOr(value(row, cols.occupancy), 1.0),
+            tempFactor: parseFloatOr(value(row, cols.tempFactor), 0.0),
+            element: element ? element.toUpperCase() : guessElement(name),
+            charge: parseInt(value(row, cols.charge)) || 0,
+            model: parseInt(value(row, cols.model)) || 1
+        };
+
+        let modelIndex = modelIds.indexOf(atom.model);
+        if (modelIndex < 0) {
+            modelIndex = modelIds.length;
+            modelIds.push(atom.model);
+            modelAtoms.push([]);
+        }
+        modelAtoms[modelIndex].push(atom);
+    }
+
+    const secondaryStructure = [
+        ...readMMCIFRanges(categories['_struct_conf'], (type) => (type && type.startsWith('HELX') ? 'helix' : null)),
+        ...readMMCIFRanges(categories['_struct_sheet_range'], () => 'sheet')
+    ];
+
+    return buildProteinData(modelAtoms, modelIds, { conects: [], secondaryStructure }, options);
+}
+
+/**
+ * Reads secondary structure ranges from _struct_conf or _struct_sheet_range
+ * @param {Object} category - Parsed category {columns, rows}, may be undefined
+ * @param {Function} typeOf - Maps conf_type_id to 'helix', 'sheet' or null to skip the row
+ * @returns {Array} Ranges [{type, chainId, start, end}, ...]
+ */
+function readMMCIFRanges(category, typeOf) {
+    if (!category) return [];
+
+    const column = (...names) => {
+        for (const name of names) {
+            const index = category.columns.indexOf(name);
+            if (index >= 0) return index;
+        }
+        return -1;
+    };
+    const cols = {
+        type: column('conf_type_id'),
+        chainId: column('beg_auth_asym_id', 'beg_label_asym_id'),
+        start: column('beg_auth_seq_id', 'beg_label_seq_id'),
+        end: column('end_auth_seq_id', 'end_label_seq_id')
+    };
+
+    const ranges = [];
+    for (const row of category.rows) {
+        const type = typeOf(cols.type >= 0 ? row[cols.type] : null);
+        if (!type) continue;
+
+        ranges.push({
+            type: type,
+            chainId: row[cols.chainId] || '',
+            start: parseInt(row[cols.start]),
+            end: parseInt(row[cols.end])
+        });
+    }
+
+    return ranges;
+}
+
+/**
+ * Parses the first data block of a CIF file into categories
+ * Single key-value items and loop_ tables are both stored as tables, e.g.
+ * "_cell.length_a 10.0" becomes categories['_cell'] = {columns: ['length_a'], rows: [['10.0']]}
+ * Unquoted '.' and '?' values are returned as null.
+ * @param {string} text - CIF file content as string
+ * @returns {Object} Map of category name to {columns, rows}
+ */
+function parseCIF(text) {
+    const tokens = tokenizeCIF(text);
+    const categories = {};
+    let seenDataBlock = false;
+
+    const isTag = (token) => !token.quoted && token.value.charAt(0) === '_';
+    const isKeyword = (token) => !token.quoted && /^(loop_|data_|save_|global_|stop_)/i.test(token.value);
+    const toValue = (token) => (!token.quoted && (token.value === '.' || token.value === '?')) ? null : token.value;
+
+    const splitTag = (tag) => {
+        const dot = tag.indexOf('.');
+        return dot >= 0 ? [tag.substring(0, dot), tag.substring(dot + 1)] : [tag, ''];
+    };
+
+    const getCategory = (name) => {
+        if (!categories[name]) {
+            categories[name] = { columns: [], rows: [] };
+        }
+        return categories[name];
+    };
+
+    let i = 0;
+    while (i < tokens.length) {
+        const token = tokens[i];
+
+        if (!token.quoted && /^data_/i.test(token.value)) {
+            // Only the first data block is read
+            if (seenDataBlock) break;
+            seenDataBlock = true;
+            i++;
+        } else if (!token.quoted && token.value.toLowerCase() === 'loop_') {
+            i++;
+
+            // Column tags
+            const tags = [];
+            while (i < tokens.length && isTag(tokens[i])) {
+                tags.push(tokens[i].value);
+                i++;
+            }
+            if (tags.length === 0) continue;
+
+            const [categoryName] = splitTag(tags[0]);
+            const category = getCategory(categoryName);
+            category.columns = tags.map(tag => splitTag(tag)[1]);
+
+            // Values fill rows column by column
+            let row = [];
+            while (i < tokens.length && !isTag(tokens[i]) && !isKeyword(tokens[i])) {
+                row.push(toValue(tokens[i]));
+                if (row.length === tags.length) {
+                    category.rows.push(row);
+                    row = [];
+                }
+                i++;
+            }
+            if (row.length > 0) {
+                console.warn(`Incomplete row in ${categoryName} loop`);
+            }
+        } else if (isTag(token)) {
+            const [categoryName, field] = splitTag(token.value);
+            const category = getCategory(categoryName);
+            const valueToken = tokens[i + 1];
+            const hasValue = valueToken && !isTag(valueToken) && !isKeyword(valueToken);
+            if (category.rows.length === 0) category.rows.push([]);
+
+            category.columns.push(field);
+            category.rows[0].push(hasValue ? toValue(valueToken) : null);
+            i += hasValue ? 2 : 1;
+        } else {
+            // save_ frames, global_ and stray values are not used by the viewer
+            i++;
+        }
+    }
+
+    return categories;
+}
+
+/**
+ * Splits CIF text into tokens
+ * Handles '#' comments, 'single' and "double" quoted strings (a quote only closes
+ * when followed by whitespace) and semicolon-delimited multi-line text fields.
+ * @param {string} text - CIF file content as string
+ * @returns {Array} Tokens {value, quoted}
+ */
+function tokenizeCIF(text) {
+    const tokens = [];
+    const lines = text.split(/\r?\n/);
+
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+        const line = lines[lineIndex];
+
+        // Multi-line text field: ";" in column 1 up to the next line starting with ";"
+        if (line.charAt(0) === ';') {
+            const fieldLines = [line.substring(1)];
+            lineIndex++;
+            while (lineIndex < lines.length && lines[lineIndex].charAt(0) !== ';') {
+                fieldLines.push(lines[lineIndex]);
+                lineIndex++;
+            }
+            tokens.push({ value: fieldLines.join('\n').trim(), quoted: true });
+            continue;
+        }
+
+        let pos = 0;
+        while (pos < line.length) {
+            const ch = line.charAt(pos);
+
+            if (ch === ' ' || ch === '\t') {
+                pos++;
+            } else if (ch === '#') {
+                break;
+            } else if (ch === '\'' || ch === '"') {
+                // Closing quote must be followed by whitespace or end of line
+                let end = pos + 1;
+                while (end < line.length) {
+                    const next = line.charAt(end + 1);
+                    if (line.charAt(end) === ch && (next === '' || next === ' ' || next === '\t')) break;
+                    end++;
+                }
+                tokens.push({ value: line.substring(pos + 1, end), quoted: true });
+                pos = end + 1;
+            } else {
+                let end = pos;
+                while (end < line.length && line.charAt(end) !== ' ' && line.charAt(end) !== '\t') {
+                    end++;
+                }
+                tokens.push({ value: line.substring(pos, end), quoted: false });
+                pos = end;
+            }
+        }
+    }
+
+    return tokens;
+}
@@ -1,4 +1,5 @@
 // Simple OBJ file loader for WebGL
+// Uses createIndexArray from geometries.js
 
 /**
  * Loads and parses an OBJ file
@@ -38,6 +39,7 @@ function parseOBJ(text) {
     // Map to avoid duplicate vertices
     const vertexMap = new Map();
     let currentIndex = 0;
+    let usesNormals = false;   // any face vertex referenced a vn
 
     // Split into lines and process
     const lines = text.split('\n');
@@ -107,6 +109,7 @@ function parseOBJ(text) {
 
                         // Add normal (or generate if missing)
                         if (normIndex >= 0 && normals.length > 0) {
+                            usesNormals = true;
                             vertexNormals.push(
                                 normals[normIndex * 3],
                                 normals[normIndex * 3 + 1],
@@ -139,15 +142,15 @@ function parseOBJ(text) {
         }
     }
 
-    // If no normals were provided, calculate them
-    if (vertexNormals.length === 0) {
+    // If no normals were provided, calculate them over the placeholder ones
+    if (!usesNormals) {
         calculateNormals(vertices, indices, vertexNormals);
     }
 
     return {
         vertices: new Float32Array(vertices),
         normals: new Float32Array(vertexNormals),
-        indices: new Uint16Array(indices)
+        indices: createIndexArray(indices, currentIndex)
     };
 }
 
@@ -156,11 +159,9 @@ function parseOBJ(text) {
  * Uses face normals (flat shading)
  */
 function calculateNormals(vertices, indices, outNormals) {
-    // Initialize normals to zero
-    const normalCount = vertices.length;
-    for (let i = 0; i < normalCount; i++) {
-        outNormals.push(0);
-    }
+    // Initialize normals to zero, one per vertex coordinate
+    outNormals.length = vertices.length;
+    outNormals.fill(0);
 
     // Calculate face normals and accumulate at vertices
     for (let i = 0; i < indices.length; i += 3) {
@@ -3,16 +3,17 @@
 /**
  * Loads and parses a PDB file
  * @param {string} url - URL to the .pdb file
+ * @param {Object} options - Parsing options, see parsePDB
  * @returns {Promise<Object>} Promise resolving to protein data
  */
-async function loadPDB(url) {
+async function loadPDB(url, options = {}) {
     try {
         const response = await fetch(url);
         if (!response.ok) {
             throw new Error(`Failed to load PDB: ${response.statusText}`);
         }
         const text = await response.text();
-        return parsePDB(text);
+        return parsePDB(text, options);
     } catch (error) {
         console.error('Error loading PDB file:', error);
         throw error;
@@ -21,41 +22,205 @@ async function loadPDB(url) {
 
 /**
  * Parses PDB file text content
+ * Files with MODEL/ENDMDL records (NMR ensembles) are split into separate models;
+ * atoms and bonds always refer to the first model. HELIX/SHEET records
+ * set atom.ss ('helix', 'sheet' or 'coil') on every atom.
  * @param {string} text - PDB file content as string
- * @returns {Object} Protein data with atoms and bonds
+ * @param {Object} options - {altLoc: 'highest' (default), 'all', or an altLoc id such as 'B'}
+ * @returns {Object} Protein data {atoms, bonds, models: [{id, atoms, bonds}, ...], secondaryStructure}
  */
-function parsePDB(text) {
-    const atoms = [];
+function parsePDB(text, options = {}) {
+    const modelAtoms = [];
+    const modelIds = [];
+    const conects = [];
+    const secondaryStructure = [];
     const lines = text.split('\n');
+    let atoms = null;
 
     for (const line of lines) {
+        if (line.startsWith('MODEL ')) {
+            modelIds.push(parseInt(line.substring(10, 14).trim()) || modelIds.length + 1);
+            atoms = [];
+            modelAtoms.push(atoms);
+            continue;
+        }
+        if (line.startsWith('ENDMDL')) {
+            atoms = null;
+            continue;
+        }
+
         // Parse ATOM and HETATM records
         // Column parsing roughly following table from https://www.cgl.ucsf.edu/chimera/docs/UsersGuide/tutorials/pdbintro.html
         if (line.startsWith('ATOM  ') || line.startsWith('HETATM')) {
             const atom = {
                 serial: parseInt(line.substring(6, 11).trim()),
                 name: line.substring(12, 16).trim(),
+                altLoc: line.substring(16, 17).trim(),
                 resName: line.substring(17, 20).trim(),
                 chainId: line.substring(21, 22).trim(),
                 resSeq: parseInt(line.substring(22, 26).trim()),
+                iCode: line.substring(26, 27).trim(),
                 x: parseFloat(line.substring(30, 38).trim()),
                 y: parseFloat(line.substring(38, 46).trim()),
                 z: parseFloat(line.substring(46, 54).trim()),
-                element: line.substring(76, 78).trim() || guessElement(line.substring(12, 16).trim())
-                //charge
+                occupancy: parseFloatOr(line.substring(54, 60), 1.0),
+                tempFactor: parseFloatOr(line.substring(60, 66), 0.0),
+                element: line.substring(76, 78).trim() || guessElement(line.substring(12, 16).trim()),
+                charge: parsePDBCharge(line.substring(78, 80))
             };
+
+            // Records outside MODEL/ENDMDL belong to an implicit single model
+            if (!atoms) {
+                atoms = [];
+                modelIds.push(modelIds.length + 1);
+                modelAtoms.push(atoms);
+            }
+            atom.model = modelIds[modelIds.length - 1];
             atoms.push(atom);
+        } else if (line.startsWith('HELIX ')) {
+            secondaryStructure.push({
+                type: 'helix',
+                chainId: line.substring(19, 20).trim(),
+                start: parseInt(line.substring(21, 25).trim()),
+                end: parseInt(line.substring(33, 37).trim())
+            });
+        } else if (line.startsWith('SHEET ')) {
+            secondaryStructure.push({
+                type: 'sheet',
+                chainId: line.substring(21, 22).trim(),
+                start: parseInt(line.substring(22, 26).trim()),
+                end: parseInt(line.substring(33, 37).trim())
+            });
+        } else if (line.startsWith('CONECT')) {
+            // Explicit connectivity: atom serial followed by up to four bonded serials
+            const serial = parseInt(line.substring(6, 11).trim());
+            for (let col = 11; col < 31; col += 5) {
+                const bonded = parseInt(line.substring(col, col + 5).trim());
+                if (!isNaN(serial) && !isNaN(bonded)) {
+                    conects.push([serial, bonded]);
+                }
+            }
         }
     }
 
-    console.log(`Parsed ${atoms.length} atoms from PDB`);
+    return buildProteinData(modelAtoms, modelIds, { conects, secondaryStructure }, options);
+}
+
+/**
+ * Post-processing shared by the PDB and mmCIF parsers
+ * Selects alternate locations, centers every model on the first one,
+ * calculates bonds and assigns secondary structure per model.
+ * @param {Array} modelAtoms - One atom array per model
+ * @param {Array} modelIds - Model serial numbers, parallel to modelAtoms
+ * @param {Object} records - {conects: CONECT serial pairs, secondaryStructure: HELIX/SHEET ranges},
+ *   applied to every model
+ * @param {Object} options - {altLoc}, see selectAltLocs
+ * @returns {Object} Protein data {atoms, bonds, models, secondaryStructure}
+ */
+function buildProteinData(modelAtoms, modelIds, records, options = {}) {
+    const conects = records.conects || [];
+    const secondaryStructure = records.secondaryStructure || [];
+    const models = [];
+    let center = null;
+
+    for (let m = 0; m < modelAtoms.length; m++) {
+        // Keep one conformer per atom so alternates don't bond to each other
+        const atoms = selectAltLocs(modelAtoms[m], options.altLoc);
+
+        // Center the molecule at origin, using the same shift for every model
+        center = centerMolecule(atoms, center);
+
+        // Calculate bonds based on distance, merged with CONECT records
+        const bonds = calculateBonds(atoms, { conects });
+
+        // Helix/sheet ranges from the file, or backbone hydrogen bonds when there are none
+        const ssSource = assignSecondaryStructure(atoms, secondaryStructure);
+        if (m === 0) console.log(`Assigned secondary structure from ${ssSource}`);
+
+        models.push({ id: modelIds[m], atoms, bonds });
+    }
+
+    if (models.length === 0) {
+        models.push({ id: 1, atoms: [], bonds: [] });
+    }
+
+    const atomCount = models.reduce((sum, model) => sum + model.atoms.length, 0);
+    console.log(`Parsed ${atomCount} atoms in ${models.length} model(s)`);
+    console.log(`Calculated ${models[0].bonds.length} bonds in first model (${conects.length} CONECT entries)`);
 
-    // Center the molecule at origin
-    centerMolecule(atoms);
+    return { atoms: models[0].atoms, bonds: models[0].bonds, models, secondaryStructure };
+}
+
+/**
+ * Parse a fixed-width numeric field, falling back when the columns are blank
+ */
+function parseFloatOr(field, fallback) {
+    const value = parseFloat(field);
+    return isNaN(value) ? fallback : value;
+}
 
-    // Calculate bonds based on distance
-    const bonds = calculateBonds(atoms);
-    console.log(`Calculated ${bonds.length} bonds`);
+/**
+ * Parse PDB formal charge columns ("2+", "1-") into a signed integer
+ */
+function parsePDBCharge(field) {
+    const match = field.trim().match(/^(\d)([+-])$|^([+-])(\d)$/);
+    if (!match) return 0;
+
+    const magnitude = parseInt(match[1] || match[4]);
+    const sign = match[2] || match[3];
+    return sign === '-' ? -magnitude : magnitude;
+}
+
+/**
+ * Reduce alternate locations to a single conformer per atom
+ * @param {Array} atoms - Atom records with altLoc and occupancy
+ * @param {string} altLoc - 'highest' keeps the highest-occupancy alternate (default),
+ *   'all' keeps every record, any other value keeps that altLoc id where present
+ *   and falls back to the highest occupancy otherwise
+ * @returns {Array} Filtered atom records
+ */
+function selectAltLocs(atoms, altLoc = 'highest') {
+    if (altLoc === 'all') return atoms;
+
+    // Pick the winning record for every atom that has alternates
+    const chosen = new Map();
+    const atomKey = (atom) => `${atom.chainId}|${atom.resSeq}|${atom.iCode}|${atom.name}`;
+
+    for (const atom of atoms) {
+        if (!atom.altLoc) continue;
+
+        const key = atomKey(atom);
+        const current = chosen.get(key);
+        if (!current) {
+            chosen.set(key, atom);
+        } else if (current.altLoc !== altLoc &&
+            (atom.altLoc === altLoc || atom.occupancy > current.occupancy)) {
+            chosen.set(key, atom);
+        }
+    }
+
+    return atoms.filter(atom => !atom.altLoc || chosen.get(atomKey(atom)) === atom);
+}
+
+/**
+ * Combine every model of an ensemble into one protein data object for overlay display
+ * @param {Object} proteinData - Data from parsePDB or parseMMCIF
+ * @returns {Object} Protein data {atoms, bonds} with bond indices into the combined atom list
+ */
+function mergeModels(proteinData) {
+    const atoms = [];
+    const bonds = [];
+
+    for (const model of proteinData.models) {
+        const offset = atoms.length;
+        atoms.push(...model.atoms);
+        for (const bond of model.bonds) {
+            bonds.push(Object.assign({}, bond, {
+                atom1: bond.atom1 + offset,
+                atom2: bond.atom2 + offset
+            }));
+        }
+    }
 
     return { atoms, bonds };
 }
@@ -77,20 +242,135 @@ function guessElement(atomName) {
 }
 
 /**
- * Calculate bonds between atoms based on distance
- * Bonds exist when atoms are within typical bonding distance
+ * Bucket atoms into a uniform grid of cubic cells for neighbour lookups
+ * @param {Array} atoms - Atom records from parsePDB
+ * @param {number} cellSize - Edge length of each cell in Angstroms
+ * @returns {Object} Grid {cellSize, cells} where cells maps "x,y,z" keys to atom indices
  */
-function calculateBonds(atoms, maxBondDistance = 1.8) {
-    const bonds = [];
+function buildSpatialGrid(atoms, cellSize) {
+    const cells = new Map();
 
-    // Only calculate bonds for nearby atoms to avoid O(n²) for large proteins
     for (let i = 0; i < atoms.length; i++) {
-        for (let j = i + 1; j < atoms.length; j++) {
-            const atom1 = atoms[i];
-            const atom2 = atoms[j];
+        const atom = atoms[i];
+        const key = gridCellKey(
+            Math.floor(atom.x / cellSize),
+            Math.floor(atom.y / cellSize),
+            Math.floor(atom.z / cellSize)
+        );
 
-            // Skip hydrogen bonds for cleaner visualization
-            if (atom1.element === 'H' || atom2.element === 'H') continue;
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = [];
+            cells.set(key, cell);
+        }
+        cell.push(i);
+    }
+
+    return { cellSize, cells };
+}
+
+function gridCellKey(cx, cy, cz) {
+    return `${cx},${cy},${cz}`;
+}
+
+/**
+ * Calls callback(j) for every atom index in the cells surrounding a point.
+ * Covers all atoms within grid.cellSize of (x, y, z), plus some further away.
+ */
+function forEachGridNeighbor(grid, x, y, z, callback) {
+    const cx = Math.floor(x / grid.cellSize);
+    const cy = Math.floor(y / grid.cellSize);
+    const cz = Math.floor(z / grid.cellSize);
+
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const cell = grid.cells.get(gridCellKey(cx + dx, cy + dy, cz + dz));
+                if (!cell) continue;
+                for (const j of cell) {
+                    callback(j);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Get covalent radius for an element (in Angstroms)
+ * Values from Cordero et al. (2008), Dalton Trans. 2832-2838
+ */
+function getCovalentRadius(element) {
+    const radii = {
+        'H': 0.31, 'LI': 1.28, 'B': 0.84, 'C': 0.76, 'N': 0.71, 'O': 0.66, 'F': 0.57,
+        'NA': 1.66, 'MG': 1.41, 'AL': 1.21, 'SI': 1.11, 'P': 1.07, 'S': 1.05, 'CL': 1.02,
+        'K': 2.03, 'CA': 1.76, 'V': 1.53, 'CR': 1.39, 'MN': 1.39, 'FE': 1.32, 'CO': 1.26,
+        'NI': 1.24, 'CU': 1.32, 'ZN': 1.22, 'AS': 1.19, 'SE': 1.20, 'BR': 1.20,
+        'MO': 1.54, 'CD': 1.44, 'I': 1.39, 'W': 1.62, 'PT': 1.36, 'AU': 1.36, 'HG': 1.32
+    };
+
+    return radii[element.toUpperCase()] || 0.76;
+}
+
+/**
+ * Calculate bonds between atoms
+ * Atoms are bonded when closer than the sum of their covalent radii plus a tolerance.
+ * Explicit CONECT pairs (atom serials) are merged in; each bond records its source
+ * as 'conect' (from the file) or 'inferred' (from distance).
+ * @param {Array} atoms - Atom records from parsePDB
+ * @param {Object} options - {conects: [[serial, serial], ...], tolerance, minBondDistance}
+ * @returns {Array} Bonds {atom1, atom2, distance, source} sorted by atom index
+ */
+function calculateBonds(atoms, options = {}) {
+    const conects = options.conects || [];
+    const tolerance = options.tolerance !== undefined ? options.tolerance : 0.45;
+    const minBondDistance = options.minBondDistance !== undefined ? options.minBondDistance : 0.4;
+
+    const bondMap = new Map();
+    const addBond = (i, j, source) => {
+        if (i > j) [i, j] = [j, i];
+        const key = i * atoms.length + j;
+        if (bondMap.has(key)) return;
+
+        const dx = atoms[i].x - atoms[j].x;
+        const dy = atoms[i].y - atoms[j].y;
+        const dz = atoms[i].z - atoms[j].z;
+        bondMap.set(key, {
+            atom1: i,
+            atom2: j,
+            distance: Math.sqrt(dx * dx + dy * dy + dz * dz),
+            source: source
+        });
+    };
+
+    // Explicit bonds from the file take precedence
+    const serialToIndex = new Map();
+    atoms.forEach((atom, index) => serialToIndex.set(atom.serial, index));
+    for (const [serial1, serial2] of conects) {
+        const i = serialToIndex.get(serial1);
+        const j = serialToIndex.get(serial2);
+        if (i === undefined || j === undefined || i === j) continue;
+
+        // Skip hydrogen bonds for cleaner visualization
+        if (atoms[i].element === 'H' || atoms[j].element === 'H') continue;
+        addBond(i, j, 'conect');
+    }
+
+    // Only compare atoms in neighbouring grid cells to avoid O(n²) for large proteins
+    const radii = atoms.map(atom => getCovalentRadius(atom.element));
+    const maxRadius = radii.reduce((max, r) => Math.max(max, r), 0);
+    const grid = buildSpatialGrid(atoms, 2 * maxRadius + tolerance);
+
+    for (let i = 0; i < atoms.length; i++) {
+        const atom1 = atoms[i];
+
+        // Skip hydrogen bonds for cleaner visualization
+        if (atom1.element === 'H') continue;
+
+        forEachGridNeighbor(grid, atom1.x, atom1.y, atom1.z, (j) => {
+            if (j <= i) return;
+
+            const atom2 = atoms[j];
+            if (atom2.element === 'H') return;
 
             // Calculate distance
             const dx = atom1.x - atom2.x;
@@ -98,37 +378,41 @@ function calculateBonds(atoms, maxBondDistance = 1.8) {
             const dz = atom1.z - atom2.z;
             const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
 
-            // Check if within bonding distance
-            if (distance < maxBondDistance) {
-                bonds.push({
-                    atom1: i,
-                    atom2: j,
-                    distance: distance
-                });
+            // Check if within bonding distance for this element pair
+            if (distance > minBondDistance && distance < radii[i] + radii[j] + tolerance) {
+                addBond(i, j, 'inferred');
             }
-        }
+        });
     }
 
+    // Keep the same ordering as a plain pairwise scan
+    const bonds = Array.from(bondMap.values());
+    bonds.sort((a, b) => a.atom1 - b.atom1 || a.atom2 - b.atom2);
+
     return bonds;
 }
 
 /**
  * Center molecule at origin for better viewing
+ * @param {Array} atoms - Atom records, shifted in place
+ * @param {Array} center - Optional [x, y, z] to shift by instead of the atoms' own center
+ * @returns {Array} The [x, y, z] center that was subtracted
  */
-function centerMolecule(atoms) {
-    if (atoms.length === 0) return;
+function centerMolecule(atoms, center = null) {
+    if (atoms.length === 0) return center;
 
     // Calculate center of mass
-    let sumX = 0, sumY = 0, sumZ = 0;
-    for (const atom of atoms) {
-        sumX += atom.x;
-        sumY += atom.y;
-        sumZ += atom.z;
+    if (!center) {
+        let sumX = 0, sumY = 0, sumZ = 0;
+        for (const atom of atoms) {
+            sumX += atom.x;
+            sumY += atom.y;
+            sumZ += atom.z;
+        }
+        center = [sumX / atoms.length, sumY / atoms.length, sumZ / atoms.length];
     }
 
-    const centerX = sumX / atoms.length;
-    const centerY = sumY / atoms.length;
-    const centerZ = sumZ / atoms.length;
+    const [centerX, centerY, centerZ] = center;
 
     // Shift all atoms
     for (const atom of atoms) {
@@ -136,6 +420,8 @@ function centerMolecule(atoms) {
         atom.y -= centerY;
         atom.z -= centerZ;
     }
+
+    return center;
 }
 
 /**
@@ -162,30 +448,44 @@ function getCPKColor(element) {
 
 /**
  * Get Van der Waals radius for an element (in Angstroms)
+ * Values from Bondi (1964), J. Phys. Chem. 68, 441, with main-group elements
+ * Bondi did not cover from Mantina et al. (2009), J. Phys. Chem. A 113, 5806,
+ * and the remaining transition metals (Fe, Mn, Co, Mo, W, ...) from
+ * Alvarez (2013), Dalton Trans. 42, 8617.
+ * Elements not in any of these tables fall back to 2.0.
+ * Scale these down (atomScale) for ball-and-stick beads.
  */
 function getVDWRadius(element) {
     const radii = {
-        'H': 0.3,
-        'C': 0.4,
-        'N': 0.35,
-        'O': 0.35,
-        'S': 0.45,
-        'P': 0.45
+        'H': 1.20, 'HE': 1.40,
+        'LI': 1.82, 'BE': 1.53, 'B': 1.92, 'C': 1.70, 'N': 1.55, 'O': 1.52, 'F': 1.47, 'NE': 1.54,
+        'NA': 2.27, 'MG': 1.73, 'AL': 1.84, 'SI': 2.10, 'P': 1.80, 'S': 1.80, 'CL': 1.75, 'AR': 1.88,
+        'K': 2.75, 'CA': 2.31, 'NI': 1.63, 'CU': 1.40, 'ZN': 1.39, 'GA': 1.87, 'GE': 2.11,
+        'AS': 1.85, 'SE': 1.90, 'BR': 1.85, 'KR': 2.02,
+        'RB': 3.03, 'SR': 2.49, 'PD': 1.63, 'AG': 1.72, 'CD': 1.58, 'IN': 1.93, 'SN': 2.17,
+        'SB': 2.06, 'TE': 2.06, 'I': 1.98, 'XE': 2.16,
+        'CS': 3.43, 'BA': 2.68, 'PT': 1.72, 'AU': 1.66, 'HG': 1.55, 'TL': 1.96, 'PB': 2.02,
+        'BI': 2.07, 'PO': 1.97, 'AT': 2.02, 'RN': 2.20, 'FR': 3.48, 'RA': 2.83, 'U': 1.86,
+        // Alvarez (2013)
+        'SC': 2.58, 'TI': 2.46, 'V': 2.42, 'CR': 2.45, 'MN': 2.45, 'FE': 2.44, 'CO': 2.40,
+        'Y': 2.75, 'ZR': 2.52, 'NB': 2.56, 'MO': 2.45, 'TC': 2.44, 'RU': 2.46, 'RH': 2.44,
+        'HF': 2.63, 'TA': 2.53, 'W': 2.57, 'RE': 2.49, 'OS': 2.48, 'IR': 2.41
     };
 
-    return radii[element.toUpperCase()] || 0.4;
+    return radii[element.toUpperCase()] || 2.0;
 }
 
 /**
  * Creates ball-and-stick geometry for a protein
  * @param {Object} proteinData - Data from parsePDB
- * @param {Object} options - Visualization options
+ * @param {Object} options - Visualization options, colorFn: atom => [r, g, b] (CPK by default)
  * @returns {Object} Geometry arrays for atoms and bonds
  */
 function createBallAndStick(proteinData, options = {}) {
     const atomScale = options.atomScale || 0.3;  // Scale factor for atom spheres
     const bondRadius = options.bondRadius || 0.1; // Radius of bond cylinders
     const sphereDetail = options.sphereDetail || 8; // Sphere subdivision
+    const colorFn = options.colorFn || (atom => getCPKColor(atom.element));
 
     const atomGeometries = [];
     const bondGeometries = [];
@@ -194,7 +494,7 @@ function createBallAndStick(proteinData, options = {}) {
     for (let i = 0; i < proteinData.atoms.length; i++) {
         const atom = proteinData.atoms[i];
         const radius = getVDWRadius(atom.element) * atomScale;
-        const color = getCPKColor(atom.element);
+        const color = colorFn(atom);
 
         atomGeometries.push({
             position: [atom.x, atom.y, atom.z],
@@ -213,7 +513,9 @@ function createBallAndStick(proteinData, options = {}) {
             start: [atom1.x, atom1.y, atom1.z],
             end: [atom2.x, atom2.y, atom2.z],
             radius: bondRadius,
-            color: [0.5, 0.5, 0.5] // Gray bonds
+            color: [0.5, 0.5, 0.5], // Gray bonds
+            startColor: colorFn(atom1),
+            endColor: colorFn(atom2)
         });
     }
 
@@ -225,9 +527,11 @@ function createBallAndStick(proteinData, options = {}) {
  * @param {Object} ballAndStick - Output from createBallAndStick
  * @param {Function} sphereGenerator - Function to generate sphere geometry
  * @param {Function} cylinderGenerator - Function to generate cylinder geometry
+ * @param {Object} options - {splitBonds: color each bond half by its atom}
  * @returns {Object} Combined geometry {vertices, normals, colors, indices}
  */
-function generateProteinGeometry(ballAndStick, sphereGenerator, cylinderGenerator) {
+function generateProteinGeometry(ballAndStick, sphereGenerator, cylinderGenerator, options = {}) {
+    const splitBonds = options.splitBonds || false;
     const vertices = [];
     const normals = [];
     const colors = [];
@@ -266,38 +570,41 @@ function generateProteinGeometry(ballAndStick, sphereGenerator, cylinderGenerato
     }
 
     // Add all bonds (cylinders)
-    for (const bondGeom of ballAndStick.bondGeometries) {
-        // Calculate cylinder orientation
-        const dx = bondGeom.end[0] - bondGeom.start[0];
-        const dy = bondGeom.end[1] - bondGeom.start[1];
-        const dz = bondGeom.end[2] - bondGeom.start[2];
+    const addCylinder = (start, end, radius, color) => {
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const dz = end[2] - start[2];
         const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (length === 0) return;
 
-        // Create cylinder along Y axis, then rotate
-        const cylinder = cylinderGenerator(bondGeom.radius, bondGeom.radius, length, 8);
+        // Create cylinder along Y axis, then rotate onto the bond direction
+        const cylinder = cylinderGenerator(radius, radius, length, 8);
+        const [axisX, axisY, axisZ] = createBondBasis(dx / length, dy / length, dz / length);
 
-        // Calculate rotation to align with bond
-        const midX = (bondGeom.start[0] + bondGeom.end[0]) / 2;
-        const midY = (bondGeom.start[1] + bondGeom.end[1]) / 2;
-        const midZ = (bondGeom.start[2] + bondGeom.end[2]) / 2;
+        const midX = (start[0] + end[0]) / 2;
+        const midY = (start[1] + end[1]) / 2;
+        const midZ = (start[2] + end[2]) / 2;
 
-        // Simple approach: translate to midpoint
-        // (Proper rotation would require quaternions or rotation matrices)
         for (let i = 0; i < cylinder.vertices.length; i += 3) {
-            // For now, just translate - bonds will be simplified as lines in actual implementation
+            const vx = cylinder.vertices[i];
+            const vy = cylinder.vertices[i + 1];
+            const vz = cylinder.vertices[i + 2];
             vertices.push(
-                cylinder.vertices[i] + midX,
-                cylinder.vertices[i + 1] + midY,
-                cylinder.vertices[i + 2] + midZ
+                midX + vx * axisX[0] + vy * axisY[0] + vz * axisZ[0],
+                midY + vx * axisX[1] + vy * axisY[1] + vz * axisZ[1],
+                midZ + vx * axisX[2] + vy * axisY[2] + vz * axisZ[2]
             );
 
+            const nx = cylinder.normals[i];
+            const ny = cylinder.normals[i + 1];
+            const nz = cylinder.normals[i + 2];
             normals.push(
-                cylinder.normals[i],
-                cylinder.normals[i + 1],
-                cylinder.normals[i + 2]
+                nx * axisX[0] + ny * axisY[0] + nz * axisZ[0],
+                nx * axisX[1] + ny * axisY[1] + nz * axisZ[1],
+                nx * axisX[2] + ny * axisY[2] + nz * axisZ[2]
             );
 
-            colors.push(bondGeom.color[0], bondGeom.color[1], bondGeom.color[2]);
+            colors.push(color[0], color[1], color[2]);
         }
 
         for (let i = 0; i < cylinder.indices.length; i++) {
@@ -305,28 +612,74 @@ function generateProteinGeometry(ballAndStick, sphereGenerator, cylinderGenerato
         }
 
         currentIndex += cylinder.vertices.length / 3;
+    };
+
+    for (const bondGeom of ballAndStick.bondGeometries) {
+        if (splitBonds) {
+            // Each half takes the color of the atom it touches
+            const mid = [
+                (bondGeom.start[0] + bondGeom.end[0]) / 2,
+                (bondGeom.start[1] + bondGeom.end[1]) / 2,
+                (bondGeom.start[2] + bondGeom.end[2]) / 2
+            ];
+            addCylinder(bondGeom.start, mid, bondGeom.radius, bondGeom.startColor || bondGeom.color);
+            addCylinder(mid, bondGeom.end, bondGeom.radius, bondGeom.endColor || bondGeom.color);
+        } else {
+            addCylinder(bondGeom.start, bondGeom.end, bondGeom.radius, bondGeom.color);
+        }
     }
 
     return {
         vertices: new Float32Array(vertices),
         normals: new Float32Array(normals),
         colors: new Float32Array(colors),
-        indices: new Uint16Array(indices)
+        indices: createIndexArray(indices, currentIndex)
     };
 }
 
+/**
+ * Orthonormal basis whose Y axis is the given unit bond direction
+ * Maps the Y-aligned cylinder from createCylinder onto the bond.
+ * @returns {Array} [xAxis, yAxis, zAxis] as [x, y, z] arrays
+ */
+function createBondBasis(dirX, dirY, dirZ) {
+    const axisY = [dirX, dirY, dirZ];
+
+    // Any vector not parallel to the bond gives a perpendicular X axis
+    const helper = Math.abs(dirX) < 0.9 ? [1, 0, 0] : [0, 0, 1];
+    let axisX = [
+        axisY[1] * helper[2] - axisY[2] * helper[1],
+        axisY[2] * helper[0] - axisY[0] * helper[2],
+        axisY[0] * helper[1] - axisY[1] * helper[0]
+    ];
+    const length = Math.sqrt(axisX[0] * axisX[0] + axisX[1] * axisX[1] + axisX[2] * axisX[2]);
+    axisX = [axisX[0] / length, axisX[1] / length, axisX[2] / length];
+
+    // Z = X × Y keeps the basis right-handed
+    const axisZ = [
+        axisX[1] * axisY[2] - axisX[2] * axisY[1],
+        axisX[2] * axisY[0] - axisX[0] * axisY[2],
+        axisX[0] * axisY[1] - axisX[1] * axisY[0]
+    ];
+
+    return [axisX, axisY, axisZ];
+}
+
 /**
  * Simplified version: Generate geometry with atoms as spheres and bonds as lines
  * This is easier to implement and performs better
+ * Options: atomScale, colorFn: atom => [r, g, b] (CPK by default)
  */
 function generateProteinGeometrySimple(proteinData, options = {}) {
     const atomScale = options.atomScale || 0.3;
     const sphereDetail = options.sphereDetail || 10;
+    const colorFn = options.colorFn || (atom => getCPKColor(atom.element));
 
     const atomsGeometry = {
         positions: [],
         colors: [],
         radii: [],
+        vdwRadii: [],
         elements: []
     };
 
@@ -339,11 +692,12 @@ function generateProteinGeometrySimple(proteinData, options = {}) {
     for (const atom of proteinData.atoms) {
         atomsGeometry.positions.push(atom.x, atom.y, atom.z);
 
-        const color = getCPKColor(atom.element);
+        const color = colorFn(atom);
         atomsGeometry.colors.push(color[0], color[1], color[2]);
 
         const radius = getVDWRadius(atom.element) * atomScale;
         atomsGeometry.radii.push(radius);
+        atomsGeometry.vdwRadii.push(getVDWRadius(atom.element));
 
         atomsGeometry.elements.push(atom.element);
     }
@@ -369,56 +723,58 @@ function generateProteinGeometrySimple(proteinData, options = {}) {
     };
 }
 
-/**
- * Download PDB from RCSB database
- * @param {string} pdbId - 4-character PDB ID (e.g., '1CRN')
- * @returns {Promise<Object>} Protein data
- */
-async function fetchPDBFromRCSB(pdbId) {
-    const url = `https://files.rcsb.org/download/${pdbId.toUpperCase()}.pdb`;
-    return await loadPDB(url);
-}
-
 /**
  * Extract backbone trace (CA atoms only) for cartoon representation
  * @param {Object} proteinData - Data from parsePDB
- * @returns {Object} Backbone trace data
+ * @returns {Object} Backbone trace data {atoms, segments, fragments, chains};
+ *   fragments are runs of connected CA atoms without chain breaks
  */
 function extractBackboneTrace(proteinData) {
     const backboneAtoms = [];
     const backboneSegments = [];
+    const fragments = [];
 
-    // Group atoms by chain and residue
+    // Group atoms by chain and residue (per model, so overlaid models stay separate)
     const chains = {};
+    const chainIds = [];
 
     for (const atom of proteinData.atoms) {
         // Only consider CA (alpha carbon) atoms for backbone
         if (atom.name === 'CA') {
             const chainId = atom.chainId || 'A';
-            if (!chains[chainId]) {
-                chains[chainId] = [];
+            const chainKey = `${atom.model || 1}|${chainId}`;
+            if (!chains[chainKey]) {
+                chains[chainKey] = [];
+            }
+            if (!chainIds.includes(chainId)) {
+                chainIds.push(chainId);
             }
-            chains[chainId].push({
+            chains[chainKey].push({
+                chainId: chainId,
                 resSeq: atom.resSeq,
                 x: atom.x,
                 y: atom.y,
                 z: atom.z,
-                resName: atom.resName
+                resName: atom.resName,
+                ss: atom.ss || 'coil',
+                atom: atom
             });
         }
     }
 
     // Sort each chain by residue sequence number
-    for (const chainId in chains) {
-        chains[chainId].sort((a, b) => a.resSeq - b.resSeq);
+    for (const chainKey in chains) {
+        chains[chainKey].sort((a, b) => a.resSeq - b.resSeq);
     }
 
     // Create line segments connecting consecutive CA atoms
-    for (const chainId in chains) {
-        const chain = chains[chainId];
+    for (const chainKey in chains) {
+        const chain = chains[chainKey];
+        let fragment = [];
 
         for (let i = 0; i < chain.length; i++) {
             backboneAtoms.push(chain[i]);
+            fragment.push(chain[i]);
 
             // Connect to next atom if consecutive residues
             if (i < chain.length - 1) {
@@ -431,45 +787,62 @@ function extractBackboneTrace(proteinData) {
                     backboneSegments.push({
                         start: { x: current.x, y: current.y, z: current.z },
                         end: { x: next.x, y: next.y, z: next.z },
-                        chainId: chainId
+                        chainId: current.chainId,
+                        startAtom: current.atom,
+                        endAtom: next.atom
                     });
+                } else {
+                    fragments.push(fragment);
+                    fragment = [];
                 }
             }
         }
+        fragments.push(fragment);
     }
 
     return {
         atoms: backboneAtoms,
         segments: backboneSegments,
-        chains: Object.keys(chains)
+        fragments: fragments,
+        chains: chainIds
     };
 }
 
+// Colors for different chains
+const chainColors = [
+    [0.2, 0.6, 1.0],  // Blue
+    [1.0, 0.5, 0.0],  // Orange
+    [0.0, 0.8, 0.3],  // Green
+    [0.9, 0.2, 0.5],  // Pink
+    [0.7, 0.7, 0.0],  // Yellow
+    [0.5, 0.0, 0.8],  // Purple
+];
+
+/**
+ * Map each chain ID to a color, cycling through chainColors
+ */
+function getChainColorMap(chainIds) {
+    const chainColorMap = {};
+    chainIds.forEach((chainId, index) => {
+        chainColorMap[chainId] = chainColors[index % chainColors.length];
+    });
+    return chainColorMap;
+}
+
 /**
  * Generate geometry for backbone trace rendering
  * @param {Object} backboneTrace - Data from extractBackboneTrace
  * @param {number} scale - Scale factor for coordinates
+ * @param {Object} options - {colorFn: CA atom => [r, g, b]}, chain colors by default
  * @returns {Object} Geometry for rendering
  */
-function generateBackboneGeometry(backboneTrace, scale = 1.0) {
+function generateBackboneGeometry(backboneTrace, scale = 1.0, options = {}) {
     const positions = [];
     const colors = [];
 
-    // Colors for different chains
-    const chainColors = [
-        [0.2, 0.6, 1.0],  // Blue
-        [1.0, 0.5, 0.0],  // Orange
-        [0.0, 0.8, 0.3],  // Green
-        [0.9, 0.2, 0.5],  // Pink
-        [0.7, 0.7, 0.0],  // Yellow
-        [0.5, 0.0, 0.8],  // Purple
-    ];
-
     // Create color map for chains
-    const chainColorMap = {};
-    backboneTrace.chains.forEach((chainId, index) => {
-        chainColorMap[chainId] = chainColors[index % chainColors.length];
-    });
+    const chainColorMap = getChainColorMap(backboneTrace.chains);
+    const colorFn = options.colorFn || (atom => chainColorMap[atom.chainId || 'A'] || [0.8, 0.8, 0.8]);
 
     // Generate line segments (APPLY SCALE HERE)
     for (const segment of backboneTrace.segments) {
@@ -487,10 +860,9 @@ function generateBackboneGeometry(backboneTrace, scale = 1.0) {
             segment.end.z * scale
         );
 
-        // Color for this chain
-        const color = chainColorMap[segment.chainId] || [0.8, 0.8, 0.8];
-        colors.push(...color);
-        colors.push(...color);
+        // Colors of the CA atoms at either end
+        colors.push(...colorFn(segment.startAtom));
+        colors.push(...colorFn(segment.endAtom));
     }
 
     return {
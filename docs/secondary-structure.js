@@ -0,0 +1,192 @@
+// Secondary structure assignment for parsed protein atoms
+
+/**
+ * Assigns a secondary structure type ('helix', 'sheet' or 'coil') to every atom
+ * Uses HELIX/SHEET ranges from the file when there are any, otherwise falls back
+ * to a DSSP-style assignment from backbone hydrogen bonds.
+ * @param {Array} atoms - Atom records of one model, annotated in place with atom.ss
+ * @param {Array} ranges - [{type, chainId, start, end}, ...] from HELIX/SHEET records
+ * @returns {string} 'records' or 'hbonds', depending on the source used
+ */
+function assignSecondaryStructure(atoms, ranges = []) {
+    const residues = groupResidues(atoms);
+
+    for (const residue of residues) {
+        residue.ss = 'coil';
+    }
+
+    let source = 'records';
+    if (ranges.length > 0) {
+        for (const residue of residues) {
+            for (const range of ranges) {
+                if (residue.chainId === range.chainId &&
+                    residue.resSeq >= range.start && residue.resSeq <= range.end) {
+                    residue.ss = range.type;
+                    break;
+                }
+            }
+        }
+    } else {
+        source = 'hbonds';
+        assignSecondaryStructureFromHBonds(residues);
+    }
+
+    for (const residue of residues) {
+        for (const atom of residue.atoms) {
+            atom.ss = residue.ss;
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Groups consecutive atoms into residues and picks out the backbone atoms
+ * @param {Array} atoms - Atom records in file order
+ * @returns {Array} Residues {chainId, resSeq, iCode, resName, atoms, N, CA, C, O}
+ */
+function groupResidues(atoms) {
+    const residues = [];
+    let current = null;
+
+    for (const atom of atoms) {
+        if (!current || current.chainId !== atom.chainId ||
+            current.resSeq !== atom.resSeq || current.iCode !== atom.iCode) {
+            current = {
+                chainId: atom.chainId,
+                resSeq: atom.resSeq,
+                iCode: atom.iCode,
+                resName: atom.resName,
+                atoms: []
+            };
+            residues.push(current);
+        }
+
+        current.atoms.push(atom);
+        if (atom.name === 'N' || atom.name === 'CA' || atom.name === 'C' || atom.name === 'O') {
+            current[atom.name] = atom;
+        }
+    }
+
+    return residues;
+}
+
+/**
+ * DSSP-style secondary structure from backbone geometry
+ * (Kabsch & Sander, 1983). Marks alpha helices from consecutive i→i+4
+ * hydrogen-bonded turns and strands from ladders of bridge partners.
+ * 3-10 and pi helices, turns and bends are left as coil.
+ * @param {Array} residues - Output of groupResidues, annotated in place with residue.ss
+ */
+function assignSecondaryStructureFromHBonds(residues) {
+    const backbone = residues.filter(r => r.N && r.CA && r.C && r.O);
+    const count = backbone.length;
+    if (count === 0) return;
+
+    // Chain segments: residues are linked when the peptide bond C(i-1)-N(i) exists
+    const segment = new Array(count);
+    segment[0] = 0;
+    for (let k = 1; k < count; k++) {
+        const prev = backbone[k - 1];
+        const residue = backbone[k];
+        const linked = prev.chainId === residue.chainId && atomDistance(prev.C, residue.N) < 2.5;
+        segment[k] = linked ? segment[k - 1] : segment[k - 1] + 1;
+
+        // Amide hydrogen sits opposite the previous carbonyl oxygen (prolines have none)
+        if (linked && residue.resName !== 'PRO') {
+            const dx = prev.C.x - prev.O.x;
+            const dy = prev.C.y - prev.O.y;
+            const dz = prev.C.z - prev.O.z;
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            residue.H = {
+                x: residue.N.x + dx / length,
+                y: residue.N.y + dy / length,
+                z: residue.N.z + dz / length
+            };
+        }
+    }
+
+    // Hydrogen bonds from C=O of acceptor to N-H of donor, searched between nearby CAs
+    const hbonds = new Set();
+    const caAtoms = backbone.map(r => r.CA);
+    const grid = buildSpatialGrid(caAtoms, 9.0);
+
+    for (let i = 0; i < count; i++) {
+        const acceptor = backbone[i];
+        forEachGridNeighbor(grid, acceptor.CA.x, acceptor.CA.y, acceptor.CA.z, (j) => {
+            if (Math.abs(i - j) < 2 || !backbone[j].H) return;
+            if (atomDistance(acceptor.CA, backbone[j].CA) > 9.0) return;
+            if (hbondEnergy(acceptor, backbone[j]) < -0.5) {
+                hbonds.add(i * count + j);
+            }
+        });
+    }
+
+    const inChain = (...indices) => indices.every(k => k >= 0 && k < count && segment[k] === segment[indices[0]]);
+    const hbond = (i, j) => inChain(i, j) && hbonds.has(i * count + j);
+    const turn4 = (i) => inChain(i, i + 4) && hbond(i, i + 4);
+
+    const ss = new Array(count).fill('coil');
+
+    // Alpha helix: two consecutive 4-turns at i-1 and i make residues i..i+3 helical
+    for (let i = 1; i < count - 4; i++) {
+        if (turn4(i - 1) && turn4(i)) {
+            for (let k = i; k <= i + 3; k++) {
+                ss[k] = 'helix';
+            }
+        }
+    }
+
+    // Beta bridges (parallel or antiparallel) between residues more than two apart
+    const bridged = new Array(count).fill(false);
+    for (let i = 1; i < count - 1; i++) {
+        forEachGridNeighbor(grid, backbone[i].CA.x, backbone[i].CA.y, backbone[i].CA.z, (j) => {
+            if (j <= i + 2 || j >= count - 1) return;
+            if (!inChain(i - 1, i, i + 1) || !inChain(j - 1, j, j + 1)) return;
+
+            const parallel = (hbond(i - 1, j) && hbond(j, i + 1)) ||
+                (hbond(j - 1, i) && hbond(i, j + 1));
+            const antiparallel = (hbond(i, j) && hbond(j, i)) ||
+                (hbond(i - 1, j + 1) && hbond(j - 1, i + 1));
+
+            if (parallel || antiparallel) {
+                bridged[i] = true;
+                bridged[j] = true;
+            }
+        });
+    }
+
+    // Strands need at least two consecutive bridge residues; helix takes priority
+    for (let k = 0; k < count; k++) {
+        if (!bridged[k] || ss[k] === 'helix') continue;
+        const ladder = (k > 0 && bridged[k - 1] && segment[k - 1] === segment[k]) ||
+            (k < count - 1 && bridged[k + 1] && segment[k + 1] === segment[k]);
+        if (ladder) {
+            ss[k] = 'sheet';
+        }
+    }
+
+    for (let k = 0; k < count; k++) {
+        backbone[k].ss = ss[k];
+    }
+}
+
+/**
+ * DSSP electrostatic hydrogen bond energy in kcal/mol
+ * between the C=O of the acceptor and the N-H of the donor residue
+ */
+function hbondEnergy(acceptor, donor) {
+    const rON = atomDistance(acceptor.O, donor.N);
+    const rCH = atomDistance(acceptor.C, donor.H);
+    const rOH = atomDistance(acceptor.O, donor.H);
+    const rCN = atomDistance(acceptor.C, donor.N);
+
+    return 0.084 * 332 * (1 / rON + 1 / rCH - 1 / rOH - 1 / rCN);
+}
+
+function atomDistance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
@@ -0,0 +1,234 @@
+// Atom selection language, e.g. "chain A and resSeq 10-40" or "within 5 of ligand"
+
+/*
+ * Grammar (keywords are case-insensitive):
+ *   expression := term ('or' term)*
+ *   term       := factor ('and' factor)*
+ *   factor     := 'not' factor | '(' expression ')' | 'within' distance 'of' factor
+ *               | keyword value+ | set
+ *   keyword    := chain | resName | resSeq (resi) | name | element | serial | model
+ *   set        := all | none | protein | nucleic | water | ligand | backbone | sidechain
+ *               | hydrogen | helix | sheet | coil
+ * Numeric keywords take numbers or ranges such as 10-40. Chain IDs are case-sensitive.
+ */
+
+const selectionKeywords = {
+    chain: { field: 'chainId', type: 'text', caseSensitive: true },
+    resname: { field: 'resName', type: 'text' },
+    resseq: { field: 'resSeq', type: 'number' },
+    resi: { field: 'resSeq', type: 'number' },
+    name: { field: 'name', type: 'text' },
+    element: { field: 'element', type: 'text' },
+    serial: { field: 'serial', type: 'number' },
+    model: { field: 'model', type: 'number' }
+};
+
+const aminoAcidNames = new Set([
+    'ALA', 'ARG', 'ASN', 'ASP', 'CYS', 'GLN', 'GLU', 'GLY', 'HIS', 'ILE',
+    'LEU', 'LYS', 'MET', 'PHE', 'PRO', 'SER', 'THR', 'TRP', 'TYR', 'VAL',
+    'MSE', 'SEC', 'PYL'
+]);
+const nucleotideNames = new Set(['A', 'C', 'G', 'U', 'T', 'DA', 'DC', 'DG', 'DT', 'DU']);
+const waterNames = new Set(['HOH', 'WAT', 'DOD', 'H2O']);
+const backboneAtomNames = new Set(['N', 'CA', 'C', 'O']);
+
+const selectionSets = {
+    all: () => true,
+    none: () => false,
+    protein: atom => aminoAcidNames.has(atom.resName),
+    nucleic: atom => nucleotideNames.has(atom.resName),
+    water: atom => waterNames.has(atom.resName),
+    // Everything that isn't polymer or solvent, including ions
+    ligand: atom => !aminoAcidNames.has(atom.resName) && !nucleotideNames.has(atom.resName) && !waterNames.has(atom.resName),
+    backbone: atom => aminoAcidNames.has(atom.resName) && backboneAtomNames.has(atom.name),
+    sidechain: atom => aminoAcidNames.has(atom.resName) && !backboneAtomNames.has(atom.name),
+    hydrogen: atom => atom.element === 'H',
+    helix: atom => atom.ss === 'helix',
+    sheet: atom => atom.ss === 'sheet',
+    coil: atom => aminoAcidNames.has(atom.resName) && (atom.ss || 'coil') === 'coil'
+};
+
+const selectionOperators = new Set(['and', 'or', 'not', 'within', 'of']);
+
+/**
+ * Evaluates a selection expression over atom records
+ * @param {string} text - Selection expression
+ * @param {Array} atoms - Atom records from parsePDB or parseMMCIF
+ * @returns {Uint8Array} 1 for every selected atom, parallel to atoms
+ */
+function selectAtoms(text, atoms) {
+    return evaluateSelection(parseSelection(text), atoms);
+}
+
+/**
+ * Parses a selection expression into a tree of nodes
+ * {type: 'and'|'or', left, right}, {type: 'not', operand}, {type: 'within', distance, operand},
+ * {type: 'keyword', field, values} and {type: 'set', name}
+ * @param {string} text - Selection expression
+ * @returns {Object} Root node
+ * @throws {Error} With a readable message when the expression is malformed
+ */
+function parseSelection(text) {
+    const tokens = text.match(/[()]|[^\s()]+/g) || [];
+    let pos = 0;
+
+    const peek = () => (pos < tokens.length ? tokens[pos].toLowerCase() : null);
+    const expect = (word) => {
+        if (peek() !== word) {
+            throw new Error(`Expected '${word}' ${pos < tokens.length ? `before '${tokens[pos]}'` : 'at the end'}`);
+        }
+        pos++;
+    };
+
+    const parseExpression = () => {
+        let node = parseTerm();
+        while (peek() === 'or') {
+            pos++;
+            node = { type: 'or', left: node, right: parseTerm() };
+        }
+        return node;
+    };
+
+    const parseTerm = () => {
+        let node = parseFactor();
+        while (peek() === 'and') {
+            pos++;
+            node = { type: 'and', left: node, right: parseFactor() };
+        }
+        return node;
+    };
+
+    const parseFactor = () => {
+        const word = peek();
+        if (word === null) {
+            throw new Error('Selection is incomplete');
+        }
+        pos++;
+
+        if (word === 'not') {
+            return { type: 'not', operand: parseFactor() };
+        }
+        if (word === '(') {
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+        if (word === 'within') {
+            // "5", "5Å" or "5 Å"
+            const match = (tokens[pos] || '').match(/^(\d+(?:\.\d+)?)(Å|A)?$/i);
+            if (!match || parseFloat(match[1]) <= 0) {
+                throw new Error(`Expected a distance after 'within'`);
+            }
+            pos++;
+            if (peek() === 'å' || peek() === 'a') pos++;
+            expect('of');
+            return { type: 'within', distance: parseFloat(match[1]), operand: parseFactor() };
+        }
+        if (selectionKeywords[word]) {
+            return parseKeyword(selectionKeywords[word], tokens[pos - 1]);
+        }
+        if (selectionSets[word]) {
+            return { type: 'set', name: word };
+        }
+
+        throw new Error(`Unknown keyword '${tokens[pos - 1]}'`);
+    };
+
+    // Values run until the next operator, parenthesis or keyword
+    const parseKeyword = (keyword, name) => {
+        const values = [];
+        while (pos < tokens.length && !isSelectionWord(tokens[pos])) {
+            values.push(parseSelectionValue(keyword, tokens[pos]));
+            pos++;
+        }
+        if (values.length === 0) {
+            throw new Error(`Expected a value after '${name}'`);
+        }
+        return { type: 'keyword', field: keyword.field, values };
+    };
+
+    const root = parseExpression();
+    if (pos < tokens.length) {
+        throw new Error(`Expected 'and' or 'or' before '${tokens[pos]}'`);
+    }
+    return root;
+}
+
+function isSelectionWord(token) {
+    const word = token.toLowerCase();
+    return token === '(' || token === ')' || selectionOperators.has(word) ||
+        selectionKeywords[word] !== undefined || selectionSets[word] !== undefined;
+}
+
+/**
+ * Turns a keyword value token into a test on the atom field
+ * Numbers may be ranges ("10-40", "-5--1"); text compares case-insensitively except chain IDs.
+ */
+function parseSelectionValue(keyword, token) {
+    if (keyword.type === 'number') {
+        const match = token.match(/^(-?\d+)(?:-(-?\d+))?$/);
+        if (!match) {
+            throw new Error(`Expected a number or range, got '${token}'`);
+        }
+        const start = parseInt(match[1]);
+        const end = match[2] !== undefined ? parseInt(match[2]) : start;
+        return value => value >= start && value <= end;
+    }
+
+    if (keyword.caseSensitive) {
+        return value => value === token;
+    }
+    const upper = token.toUpperCase();
+    return value => typeof value === 'string' && value.toUpperCase() === upper;
+}
+
+/**
+ * Evaluates a parsed selection over atom records
+ * @param {Object} node - From parseSelection
+ * @param {Array} atoms - Atom records
+ * @returns {Uint8Array} 1 for every selected atom
+ */
+function evaluateSelection(node, atoms) {
+    const mask = new Uint8Array(atoms.length);
+
+    if (node.type === 'and' || node.type === 'or') {
+        const left = evaluateSelection(node.left, atoms);
+        const right = evaluateSelection(node.right, atoms);
+        for (let i = 0; i < atoms.length; i++) {
+            mask[i] = node.type === 'and' ? left[i] & right[i] : left[i] | right[i];
+        }
+    } else if (node.type === 'not') {
+        const operand = evaluateSelection(node.operand, atoms);
+        for (let i = 0; i < atoms.length; i++) {
+            mask[i] = 1 - operand[i];
+        }
+    } else if (node.type === 'keyword') {
+        for (let i = 0; i < atoms.length; i++) {
+            const value = atoms[i][node.field];
+            mask[i] = node.values.some(test => test(value)) ? 1 : 0;
+        }
+    } else if (node.type === 'set') {
+        const test = selectionSets[node.name];
+        for (let i = 0; i < atoms.length; i++) {
+            mask[i] = test(atoms[i]) ? 1 : 0;
+        }
+    } else if (node.type === 'within') {
+        // Cells as large as the distance, so the neighbouring cells cover it
+        const operand = evaluateSelection(node.operand, atoms);
+        const grid = buildSpatialGrid(atoms, node.distance);
+        const distanceSquared = node.distance * node.distance;
+
+        for (let i = 0; i < atoms.length; i++) {
+            if (!operand[i]) continue;
+            const center = atoms[i];
+            forEachGridNeighbor(grid, center.x, center.y, center.z, (j) => {
+                const dx = atoms[j].x - center.x;
+                const dy = atoms[j].y - center.y;
+                const dz = atoms[j].z - center.z;
+                if (dx * dx + dy * dy + dz * dz <= distanceSquared) mask[j] = 1;
+            });
+        }
+    }
+
+    return mask;
+}
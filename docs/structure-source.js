@@ -0,0 +1,164 @@
+// Structure download by PDB ID from a configurable mirror and public archives,
+// with downloaded entries kept in an IndexedDB cache for instant and offline reloads
+
+/**
+ * Public archive URLs, tried in order after any mirror
+ * {id} is replaced with the upper-case PDB ID and {idLower} with the lower-case one.
+ * Large entries have no .pdb file, so the mmCIF versions come next.
+ */
+const publicStructureSources = [
+    'https://files.rcsb.org/download/{id}.pdb',
+    'https://files.rcsb.org/download/{id}.cif',
+    'https://www.ebi.ac.uk/pdbe/entry-files/download/pdb{idLower}.ent',
+    'https://www.ebi.ac.uk/pdbe/entry-files/download/{idLower}_updated.cif'
+];
+
+/**
+ * Loads a PDB entry from the cache, or else from the first source that has it
+ * @param {string} pdbId - 4-character PDB ID (e.g., '5IYN'), validated with parsePDBId
+ * @param {Object} options - {baseUrl: mirror tried first (see getStructureSources),
+ *   useCache: read and fill the IndexedDB cache (default true)}, plus parsing options
+ * @returns {Promise<Object>} {proteinData, url, cached}
+ * @throws {Error} For an invalid ID, or listing every source that failed
+ */
+async function fetchStructure(pdbId, options = {}) {
+    const id = parsePDBId(pdbId);
+    if (!id) {
+        throw new Error(`Invalid PDB ID: ${pdbId}`);
+    }
+    const useCache = options.useCache !== false;
+    const baseUrl = (options.baseUrl || '').trim();
+
+    // Entries downloaded with another mirror setting are fetched again
+    const entry = useCache ? await readCachedStructure(id) : undefined;
+    if (entry && (entry.baseUrl || '') === baseUrl) {
+        try {
+            return { proteinData: parseStructureText(entry.text, entry.format, entry.url, options), url: entry.url, cached: true };
+        } catch (error) {
+            console.warn(`Dropping unreadable cached ${id}: ${error.message}`);
+            await deleteCachedStructure(id);
+        }
+    }
+
+    const failures = [];
+    for (const template of getStructureSources(options.baseUrl)) {
+        const url = template.replace(/\{idLower\}/g, id.toLowerCase()).replace(/\{id\}/g, id);
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            const text = await readTextContent(response);
+
+            // URLs without a structure extension, such as '…/get?id={id}', are recognised by their content
+            const urlFormat = getLocalFileFormat(url.split(/[?#]/)[0]);
+            const format = urlFormat === 'pdb' || urlFormat === 'cif' ? urlFormat : detectStructureFormat(text);
+            const proteinData = parseStructureText(text, format, url, options);
+
+            if (useCache) {
+                await writeCachedStructure(id, { text, format, url, baseUrl });
+            }
+            return { proteinData, url, cached: false };
+        } catch (error) {
+            console.warn(`Structure source ${url} failed: ${error.message}`);
+            failures.push(`${url}: ${error.message}`);
+        }
+    }
+
+    throw new Error(`Could not load ${id} from any source (${failures.join('; ')})`);
+}
+
+/**
+ * Validates a PDB ID, e.g. one typed by the user
+ * IDs are a digit from 1 to 9 followed by three letters or digits, such as '5IYN'.
+ * @param {string} text - Candidate ID; surrounding spaces and case are ignored
+ * @returns {string|null} Upper-case ID, or null if the text is not a PDB ID
+ */
+function parsePDBId(text) {
+    const id = text.trim().toUpperCase();
+    return /^[1-9][A-Z0-9]{3}$/.test(id) ? id : null;
+}
+
+/**
+ * URL templates to try for an entry: the mirror first, then the public archives
+ * A base URL with {id} or {idLower} is used as a template; a plain folder URL such as
+ * 'http://localhost:8000/pdb' is tried as {id}.pdb and then {id}.cif inside it.
+ * Downloads are read as PDB or mmCIF by their extension, or by their content when the
+ * URL has none (see detectStructureFormat).
+ * @param {string} baseUrl - Mirror URL, or empty for the public archives only
+ * @returns {Array} URL templates
+ */
+function getStructureSources(baseUrl = '') {
+    const base = baseUrl.trim();
+    if (!base) {
+        return publicStructureSources;
+    }
+    if (/\{id(Lower)?\}/.test(base)) {
+        return [base, ...publicStructureSources];
+    }
+
+    const folder = base.replace(/\/+$/, '');
+    return [`${folder}/{id}.pdb`, `${folder}/{id}.cif`, ...publicStructureSources];
+}
+
+// ===== INDEXEDDB CACHE =====
+
+const structureCacheDatabase = 'structure-cache';
+const structureCacheStore = 'entries';
+let structureCachePromise = null;
+
+function openStructureCache() {
+    if (!structureCachePromise) {
+        structureCachePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(structureCacheDatabase, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(structureCacheStore);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return structureCachePromise;
+}
+
+/**
+ * Run one request against the cache store
+ * The cache is only an optimisation, so failures (private browsing, full quota) are
+ * logged and resolve to undefined, which reads treat as a miss.
+ */
+async function structureCacheRequest(mode, makeRequest) {
+    try {
+        const db = await openStructureCache();
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(structureCacheStore, mode).objectStore(structureCacheStore));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } catch (error) {
+        console.warn(`Structure cache unavailable: ${error.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Cached download of an entry
+ * @param {string} id - Upper-case PDB ID
+ * @returns {Promise<Object|undefined>} {text, format, url, baseUrl, savedAt}, or undefined if not cached
+ */
+function readCachedStructure(id) {
+    return structureCacheRequest('readonly', store => store.get(id));
+}
+
+function writeCachedStructure(id, entry) {
+    return structureCacheRequest('readwrite', store => store.put({ ...entry, savedAt: Date.now() }, id));
+}
+
+function deleteCachedStructure(id) {
+    return structureCacheRequest('readwrite', store => store.delete(id));
+}
+
+function clearStructureCache() {
+    return structureCacheRequest('readwrite', store => store.clear());
+}
@@ -0,0 +1,17 @@
+// Web Worker that runs generateMolecularSurface off the page's thread
+// Started by ensureSurfaceGeometry in webgl-scene.js; receives {id, atoms, options} and
+// posts back {id, geometry}, or {id, error} if the surface could not be generated
+
+importScripts('geometries.js', 'pdb-loader.js', 'surface.js');
+
+self.onmessage = (e) => {
+    const { id, atoms, options } = e.data;
+    try {
+        // The page colors the vertices with its own color scheme, so the colors stay behind
+        const { vertices, normals, indices, atomIndices } = generateMolecularSurface(atoms, options);
+        const transfer = [vertices.buffer, normals.buffer, indices.buffer, atomIndices.buffer];
+        self.postMessage({ id, geometry: { vertices, normals, indices, atomIndices } }, transfer);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,379 @@
+// Molecular surface (SAS / SES) mesh generation
+
+/**
+ * Generates a molecular surface mesh for a set of atoms
+ * Atoms are splatted onto a grid as van der Waals spheres grown by the probe
+ * radius, giving the solvent-accessible volume. For the solvent-excluded surface
+ * the probe is rolled back in with a Euclidean distance transform. The surface
+ * is then extracted with marching tetrahedra.
+ * @param {Array} atoms - Atom records from parsePDB
+ * @param {Object} options - {type: 'ses' or 'sas', probeRadius, resolution,
+ *   maxGridPoints, colorFn: atom => [r, g, b]}
+ * @returns {Object} Geometry {vertices, normals, colors, indices, atomIndices};
+ *   atomIndices holds the nearest atom of each vertex for per-atom coloring
+ */
+function generateMolecularSurface(atoms, options = {}) {
+    const type = options.type || 'ses';
+    const probeRadius = options.probeRadius !== undefined ? options.probeRadius : 1.4;
+    const maxGridPoints = options.maxGridPoints || 2000000;
+    const colorFn = options.colorFn || (atom => getCPKColor(atom.element));
+
+    // Solvent does not contribute to the surface
+    const surfaceAtoms = [];
+    for (let i = 0; i < atoms.length; i++) {
+        if (atoms[i].resName !== 'HOH' && atoms[i].resName !== 'WAT') {
+            surfaceAtoms.push(i);
+        }
+    }
+
+    const empty = {
+        vertices: new Float32Array(0),
+        normals: new Float32Array(0),
+        colors: new Float32Array(0),
+        indices: new Uint16Array(0),
+        atomIndices: new Int32Array(0)
+    };
+    if (surfaceAtoms.length === 0) return empty;
+
+    const grid = createSurfaceGrid(atoms, surfaceAtoms, probeRadius, options.resolution || 0.6, maxGridPoints);
+    splatAtoms(grid, atoms, surfaceAtoms, probeRadius);
+
+    if (type === 'ses') {
+        carveSolventExcluded(grid, probeRadius);
+    }
+
+    const mesh = marchingTetrahedra(grid);
+
+    const colors = colorSurfaceVertices(mesh.atomIndices, atoms, colorFn);
+
+    console.log(`Generated ${type.toUpperCase()} with ${mesh.vertices.length / 3} vertices on a ${grid.nx}x${grid.ny}x${grid.nz} grid`);
+
+    return {
+        vertices: mesh.vertices,
+        normals: mesh.normals,
+        colors: colors,
+        indices: mesh.indices,
+        atomIndices: mesh.atomIndices
+    };
+}
+
+/**
+ * Colors each surface vertex by the atom that owns the nearest grid point
+ * @param {Int32Array} atomIndices - Nearest atom of each vertex, from generateMolecularSurface
+ * @param {Array} atoms - The atoms the surface was generated for
+ * @param {Function} colorFn - atom => [r, g, b]
+ * @returns {Float32Array} Per-vertex colors
+ */
+function colorSurfaceVertices(atomIndices, atoms, colorFn) {
+    const colors = new Float32Array(atomIndices.length * 3);
+    for (let v = 0; v < atomIndices.length; v++) {
+        const color = colorFn(atoms[atomIndices[v]]);
+        colors[v * 3] = color[0];
+        colors[v * 3 + 1] = color[1];
+        colors[v * 3 + 2] = color[2];
+    }
+    return colors;
+}
+
+/**
+ * Allocates a grid around the atoms, coarsening the spacing if needed to stay
+ * under maxGridPoints
+ */
+function createSurfaceGrid(atoms, surfaceAtoms, probeRadius, resolution, maxGridPoints) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (const i of surfaceAtoms) {
+        const atom = atoms[i];
+        minX = Math.min(minX, atom.x); maxX = Math.max(maxX, atom.x);
+        minY = Math.min(minY, atom.y); maxY = Math.max(maxY, atom.y);
+        minZ = Math.min(minZ, atom.z); maxZ = Math.max(maxZ, atom.z);
+    }
+
+    // Room for the largest sphere plus a layer of empty cells
+    const padding = 3.5 + probeRadius + 2 * resolution;
+    minX -= padding; minY -= padding; minZ -= padding;
+    maxX += padding; maxY += padding; maxZ += padding;
+
+    const volume = (maxX - minX) * (maxY - minY) * (maxZ - minZ);
+    const spacing = Math.max(resolution, Math.cbrt(volume / maxGridPoints));
+
+    const nx = Math.ceil((maxX - minX) / spacing) + 1;
+    const ny = Math.ceil((maxY - minY) / spacing) + 1;
+    const nz = Math.ceil((maxZ - minZ) / spacing) + 1;
+
+    return {
+        origin: [minX, minY, minZ],
+        spacing: spacing,
+        nx, ny, nz,
+        // Positive inside the surface, negative outside
+        field: new Float32Array(nx * ny * nz).fill(-probeRadius),
+        owner: new Int32Array(nx * ny * nz).fill(-1)
+    };
+}
+
+/**
+ * Fills the grid with the solvent-accessible field max(r + probe - distance)
+ * and records which atom dominates each grid point
+ */
+function splatAtoms(grid, atoms, surfaceAtoms, probeRadius) {
+    const { origin, spacing, nx, ny, nz, field, owner } = grid;
+
+    for (const i of surfaceAtoms) {
+        const atom = atoms[i];
+        const radius = getVDWRadius(atom.element) + probeRadius;
+        const reach = radius + spacing;
+
+        const x0 = Math.max(0, Math.floor((atom.x - reach - origin[0]) / spacing));
+        const x1 = Math.min(nx - 1, Math.ceil((atom.x + reach - origin[0]) / spacing));
+        const y0 = Math.max(0, Math.floor((atom.y - reach - origin[1]) / spacing));
+        const y1 = Math.min(ny - 1, Math.ceil((atom.y + reach - origin[1]) / spacing));
+        const z0 = Math.max(0, Math.floor((atom.z - reach - origin[2]) / spacing));
+        const z1 = Math.min(nz - 1, Math.ceil((atom.z + reach - origin[2]) / spacing));
+
+        for (let z = z0; z <= z1; z++) {
+            const dz = origin[2] + z * spacing - atom.z;
+            for (let y = y0; y <= y1; y++) {
+                const dy = origin[1] + y * spacing - atom.y;
+                for (let x = x0; x <= x1; x++) {
+                    const dx = origin[0] + x * spacing - atom.x;
+                    const value = radius - Math.sqrt(dx * dx + dy * dy + dz * dz);
+                    const index = (z * ny + y) * nx + x;
+                    if (value > field[index]) {
+                        field[index] = value;
+                        owner[index] = i;
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Turns the solvent-accessible field into a solvent-excluded one
+ * Every point inside the SAS that is at least probeRadius away from the
+ * solvent is inside the SES; the new field is that distance minus the probe.
+ */
+function carveSolventExcluded(grid, probeRadius) {
+    const { spacing, nx, ny, nz, field } = grid;
+    const count = nx * ny * nz;
+
+    // Squared distance (in cells) from every point to the nearest solvent point
+    const distance = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        distance[i] = field[i] > 0 ? 1e10 : 0;
+    }
+    distanceTransform3D(distance, nx, ny, nz);
+
+    for (let i = 0; i < count; i++) {
+        if (field[i] > 0) {
+            field[i] = Math.sqrt(distance[i]) * spacing - probeRadius;
+        }
+    }
+}
+
+/**
+ * Exact squared Euclidean distance transform, applied along x, y and z in turn
+ * (Felzenszwalb & Huttenlocher, 2012). Zero entries are the feature points.
+ */
+function distanceTransform3D(data, nx, ny, nz) {
+    const maxLength = Math.max(nx, ny, nz);
+    const f = new Float64Array(maxLength);
+    const d = new Float64Array(maxLength);
+    const v = new Int32Array(maxLength);
+    const z = new Float64Array(maxLength + 1);
+
+    const pass = (length, stride, starts) => {
+        for (const start of starts) {
+            for (let i = 0; i < length; i++) f[i] = data[start + i * stride];
+            distanceTransform1D(f, length, d, v, z);
+            for (let i = 0; i < length; i++) data[start + i * stride] = d[i];
+        }
+    };
+
+    const rowStarts = (outer, inner, outerStride, innerStride) => {
+        const starts = [];
+        for (let a = 0; a < outer; a++) {
+            for (let b = 0; b < inner; b++) {
+                starts.push(a * outerStride + b * innerStride);
+            }
+        }
+        return starts;
+    };
+
+    pass(nx, 1, rowStarts(nz, ny, nx * ny, nx));
+    pass(ny, nx, rowStarts(nz, nx, nx * ny, 1));
+    pass(nz, nx * ny, rowStarts(ny, nx, nx, 1));
+}
+
+function distanceTransform1D(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+
+    for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+}
+
+/**
+ * Extracts the zero isosurface of grid.field with marching tetrahedra
+ * Each cell is split into six tetrahedra around its main diagonal; vertices on
+ * shared grid edges are merged and normals come from the field gradient.
+ */
+function marchingTetrahedra(grid) {
+    const { origin, spacing, nx, ny, nz, field, owner } = grid;
+
+    const cornerOffsets = [
+        [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+        [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+    ];
+    const tetrahedra = [
+        [0, 5, 1, 6], [0, 1, 2, 6], [0, 2, 3, 6],
+        [0, 3, 7, 6], [0, 7, 4, 6], [0, 4, 5, 6]
+    ];
+
+    const vertices = [];
+    const normals = [];
+    const atomIndices = [];
+    const indices = [];
+    const edgeVertices = new Map();
+
+    const pointIndex = (x, y, z) => (z * ny + y) * nx + x;
+
+    const gradient = (x, y, z) => {
+        const sample = (xi, yi, zi) => field[pointIndex(
+            Math.min(nx - 1, Math.max(0, xi)),
+            Math.min(ny - 1, Math.max(0, yi)),
+            Math.min(nz - 1, Math.max(0, zi))
+        )];
+        return [
+            sample(x + 1, y, z) - sample(x - 1, y, z),
+            sample(x, y + 1, z) - sample(x, y - 1, z),
+            sample(x, y, z + 1) - sample(x, y, z - 1)
+        ];
+    };
+
+    // Vertex where the surface crosses the grid edge between corners a and b
+    const edgeVertex = (a, b) => {
+        const count = nx * ny * nz;
+        const key = a.index < b.index ? a.index * count + b.index : b.index * count + a.index;
+        const existing = edgeVertices.get(key);
+        if (existing !== undefined) return existing;
+
+        const pa = a.point;
+        const pb = b.point;
+        const fa = field[a.index];
+        const fb = field[b.index];
+        const t = fa / (fa - fb);
+
+        vertices.push(
+            origin[0] + (pa[0] + (pb[0] - pa[0]) * t) * spacing,
+            origin[1] + (pa[1] + (pb[1] - pa[1]) * t) * spacing,
+            origin[2] + (pa[2] + (pb[2] - pa[2]) * t) * spacing
+        );
+
+        // Field is positive inside, so the outward normal is the negative gradient
+        const ga = gradient(...pa);
+        const gb = gradient(...pb);
+        const n = [
+            -(ga[0] + (gb[0] - ga[0]) * t),
+            -(ga[1] + (gb[1] - ga[1]) * t),
+            -(ga[2] + (gb[2] - ga[2]) * t)
+        ];
+        const length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]) || 1;
+        normals.push(n[0] / length, n[1] / length, n[2] / length);
+
+        // Inside point owner is always set; it is the closer atom to the surface
+        atomIndices.push(fa > 0 ? owner[a.index] : owner[b.index]);
+
+        const vertexIndex = vertices.length / 3 - 1;
+        edgeVertices.set(key, vertexIndex);
+        return vertexIndex;
+    };
+
+    // Triangle wound so its face normal agrees with the vertex normals
+    const addTriangle = (i0, i1, i2) => {
+        const p = (i) => [vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]];
+        const [a, b, c] = [p(i0), p(i1), p(i2)];
+        const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const face = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0]
+        ];
+        const nx0 = normals[i0 * 3] + normals[i1 * 3] + normals[i2 * 3];
+        const ny0 = normals[i0 * 3 + 1] + normals[i1 * 3 + 1] + normals[i2 * 3 + 1];
+        const nz0 = normals[i0 * 3 + 2] + normals[i1 * 3 + 2] + normals[i2 * 3 + 2];
+
+        if (face[0] * nx0 + face[1] * ny0 + face[2] * nz0 < 0) {
+            indices.push(i0, i2, i1);
+        } else {
+            indices.push(i0, i1, i2);
+        }
+    };
+
+    for (let z = 0; z < nz - 1; z++) {
+        for (let y = 0; y < ny - 1; y++) {
+            for (let x = 0; x < nx - 1; x++) {
+                // Skip cells entirely inside or outside
+                let insideCount = 0;
+                for (const o of cornerOffsets) {
+                    if (field[pointIndex(x + o[0], y + o[1], z + o[2])] > 0) insideCount++;
+                }
+                if (insideCount === 0 || insideCount === 8) continue;
+
+                const corners = cornerOffsets.map(o => ({
+                    point: [x + o[0], y + o[1], z + o[2]],
+                    index: pointIndex(x + o[0], y + o[1], z + o[2])
+                }));
+
+                for (const tet of tetrahedra) {
+                    const inside = [];
+                    const outside = [];
+                    for (const c of tet) {
+                        (field[corners[c].index] > 0 ? inside : outside).push(corners[c]);
+                    }
+
+                    if (inside.length === 1 || inside.length === 3) {
+                        const [single, others] = inside.length === 1 ? [inside[0], outside] : [outside[0], inside];
+                        addTriangle(
+                            edgeVertex(single, others[0]),
+                            edgeVertex(single, others[1]),
+                            edgeVertex(single, others[2])
+                        );
+                    } else if (inside.length === 2) {
+                        const v0 = edgeVertex(inside[0], outside[0]);
+                        const v1 = edgeVertex(inside[0], outside[1]);
+                        const v2 = edgeVertex(inside[1], outside[1]);
+                        const v3 = edgeVertex(inside[1], outside[0]);
+                        addTriangle(v0, v1, v2);
+                        addTriangle(v0, v2, v3);
+                    }
+                }
+            }
+        }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        normals: new Float32Array(normals),
+        atomIndices: new Int32Array(atomIndices),
+        indices: createIndexArray(indices, vertices.length / 3)
+    };
+}
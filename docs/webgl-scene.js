@@ -2,20 +2,37 @@
 // Debug settings object
 const debugSettings = {
     proteinScale: 1.0,
-    beadRadius: 0.3,
+    beadRadius: 0.3, // Ball-and-stick atoms as a fraction of the van der Waals radius
     sphereDetail: 10,
     showGrid: true,
     showAxis: true,
     showBonds: true,
+    bondStyle: 'lines',
+    splitBondColors: true,
+    impostors: true,
+    surfaceType: 'ses',
+    probeRadius: 1.4,
+    inertia: true,
+    autoSpin: false,
+    spinSpeed: 0.3, // Radians per second
+    rotationMode: 'orbit', // 'orbit' keeps the horizon level, 'arcball' turns freely
     lightX: 5.0,
     lightY: 5.0,
     lightZ: 5.0,
+    lightMode: 'world', // Light position in 'world' or 'camera' coordinates
     ambientStrength: 0.3,
     diffuseStrength: 0.7,
     backgroundColor: '#1a1a1a',
+    colorScheme: 'element', // See color-schemes.js
+    residueColors: '', // Custom scheme, e.g. 'A:10-40=#ff0000, B:5=#00ff00'
+    structureBaseUrl: readStoredValue('structureBaseUrl') || '', // Mirror tried before RCSB, see structure-source.js
+    cacheStructures: true,
     reloadProtein: function() {
         const pdbId = document.getElementById('protein-selector').value;
         loadProteinStructure(pdbId);
+    },
+    clearStructureCache: function() {
+        clearStructureCache().then(() => console.log('✓ Structure cache cleared'));
     }
 };
 
@@ -34,32 +51,109 @@ if (!gl) {
     throw new Error('WebGL not supported');
 }
 
+const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+
+// Instanced drawing (null falls back to one draw call per atom)
+const instancing = getInstancingSupport();
+
+// 32-bit element indices; without them large meshes are split (see uploadMeshChunks)
+const uintIndicesSupported = isWebGL2 || gl.getExtension('OES_element_index_uint') !== null;
+
+// Impostors write ray-cast depth from the fragment shader (WebGL1 extension)
+const fragDepthExt = gl.getExtension('EXT_frag_depth');
+
 // Set canvas resolution to match display size
 canvas.width = canvas.clientWidth;
 canvas.height = canvas.clientHeight;
 
 // Configuration
 const defaultCameraDistance = 10.0;
-const defaultCameraY = 5.0;
 const defaultRotationX = -0.3;
 const defaultRotationY = 0.0;
 
+const cameraFov = 75 * Math.PI / 180;
+const minCameraDistance = 2.0;
+const maxCameraDistance = 90.0; // Stays inside the far plane
+
 // Camera state
 let rotationX = defaultRotationX;
 let rotationY = defaultRotationY;
+let cameraOrientation = [0, 0, 0, 1]; // Arcball mode: camera-to-world rotation quaternion [x, y, z, w]
+let cameraTarget = [0, 0, 0]; // Orbit center, moved by pan, zoom and re-centre
 let isDragging = false;
-let lastMouseX = 0;
-let lastMouseY = 0;
+let lastMouseMoveTime = 0;
+
+// Pointers currently down on the canvas: one rotates (or pans), two pinch and pan
+const activePointers = new Map();
+let isPanning = false;
+let lastTapTime = 0;
+let lastTapX = 0;
+let lastTapY = 0;
+const doubleTapDelay = 300; // Milliseconds
+
+// Rotation speed in radians per second, kept after a drag for inertia
+let rotationVelocityX = 0;
+let rotationVelocityY = 0;
+let arcballVelocity = [0, 0, 0]; // Camera-space axis times radians per second
+const rotationDamping = 4.0; // Exponential decay rate per second
 
 // View mode
 let viewMode = 'protein'; // Default to protein view
+const proteinViewModes = ['protein', 'spacefill', 'surface', 'backbone', 'cartoon'];
+let objMeshBuffers = []; // OBJ file shown in the 'mesh' view, see showOBJMesh
 let currentCameraDistance = 25.0; // Start with protein camera distance
 
 // Protein data
 let proteinData = null;
+let displayedAtoms = []; // Atom records of the displayed model(s), in proteinGeometry.atoms order
+let atomColorScheme = null; // {colorOf, legend} from createColorScheme, for atoms, sticks and the surface
+let traceColorScheme = null; // Same for the CA-based backbone and cartoon
 let proteinGeometry = null;
+let backboneGeometry = null;
+let cartoonBuffers = [];
+let stickBuffers = [];
+let surfaceBuffers = null; // Built on first use, see ensureSurfaceGeometry
+let surfaceRequest = null; // Surface being computed for surfaceBuffers, see ensureSurfaceGeometry
+let surfaceRequestCounter = 0;
+let surfaceWorker = undefined; // Started on first use; null where workers cannot be used
+let atomInstances = null; // Ball-and-stick beads, see uploadAtomInstances
+let spacefillInstances = null;
+let bondInstances = null; // Stick bonds for cylinder impostors, see uploadBondInstances
+let bondLineBuffer = null; // Bond end points for the line bond style
+let backboneLineBuffer = null;
+
+// Picking: indices into displayedAtoms
+let selectedAtoms = [];
+let selectionInstances = null; // Highlight spheres, see updateSelectionHighlight
+const selectionColor = [1.0, 0.85, 0.1];
+
+// Measurements: clicks pick atoms instead of selecting while measureMode is not 'off'
+let measureMode = 'off';
+let measurements = []; // {type, value, label, atomIndices, labelElement}
+let measurementLineBuffer = null;
+let measurementVertexCount = 0;
+
+// Selection expressions (see selection.js), re-evaluated whenever the displayed atoms change
+let visibleExpression = null; // Atoms to draw, or null for all
+let colorOverrides = []; // {expression, color} painted over the color scheme, later ones on top
+let shownAtomMask = null; // From visibleExpression over displayedAtoms, or null when every atom is shown
+let shownProteinData = null; // Displayed atoms with only the bonds between shown atoms
+
+// GL buffers owned by the loaded structure, by group (see createTrackedBuffer)
+const trackedBuffers = new Map();
 let proteinLoaded = false;
-const proteinScale = 1.0; // Scale factor to make proteins more visible (Angstroms to world units)
+let structureRequestId = 0; // Bumped by every load so that only the latest one is shown
+const maxRecentStructures = 10; // PDB IDs kept in localStorage 'recentStructures'
+
+// Model (NMR ensemble) state
+let currentModelIndex = 0;
+let overlayModels = false;
+let modelPlayTimer = null;
+const modelPlayInterval = 200; // Milliseconds per model during playback
+let displayedModelIndex = null; // Model the representations were built for, or null for the overlay
+const modelGeometryCache = new Map(); // Model index to the parked representations of a model, see stashModelGeometry
+const modelBufferGroups = ['structure', 'sticks', 'surface'];
+const modelCacheAtomBudget = 200000; // Atoms over all parked models before the least recently shown are freed
 
 // ===== SHADER SOURCES =====
 
@@ -92,14 +186,16 @@ const cubeFragmentShaderSource = `
     varying vec3 vFragPos;
 
     uniform vec3 uLightPos;
+    uniform float uAmbient;
+    uniform float uDiffuse;
     uniform vec3 uColor;
 
     void main() {
         vec3 norm = normalize(vNormal);
         vec3 lightDir = normalize(uLightPos - vFragPos);
 
-        float ambient = 0.3;
-        float diffuse = max(dot(norm, lightDir), 0.0) * 0.7;
+        float ambient = uAmbient;
+        float diffuse = max(dot(norm, lightDir), 0.0) * uDiffuse;
 
         vec3 result = (ambient + diffuse) * uColor;
         gl_FragColor = vec4(result, 1.0);
@@ -110,11 +206,12 @@ const cubeFragmentShaderSource = `
 const helperVertexShaderSource = `
     attribute vec3 aPosition;
 
+    uniform mat4 uModelMatrix;
     uniform mat4 uViewMatrix;
     uniform mat4 uProjectionMatrix;
 
     void main() {
-        gl_Position = uProjectionMatrix * uViewMatrix * vec4(aPosition, 1.0);
+        gl_Position = uProjectionMatrix * uViewMatrix * uModelMatrix * vec4(aPosition, 1.0);
     }
 `;
 
@@ -129,6 +226,283 @@ const helperFragmentShaderSource = `
     }
 `;
 
+// Vertex shader for meshes with per-vertex colors (with lighting)
+const meshVertexShaderSource = `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+    attribute vec3 aColor;
+
+    uniform mat4 uModelMatrix;
+    uniform mat4 uViewMatrix;
+    uniform mat4 uProjectionMatrix;
+
+    varying vec3 vNormal;
+    varying vec3 vFragPos;
+    varying vec3 vColor;
+
+    void main() {
+        vec4 worldPos = uModelMatrix * vec4(aPosition, 1.0);
+        vFragPos = worldPos.xyz;
+        vNormal = mat3(uModelMatrix) * aNormal;
+        vColor = aColor;
+
+        gl_Position = uProjectionMatrix * uViewMatrix * worldPos;
+    }
+`;
+
+// Fragment shader for meshes with per-vertex colors (with lighting)
+const meshFragmentShaderSource = `
+    precision mediump float;
+
+    varying vec3 vNormal;
+    varying vec3 vFragPos;
+    varying vec3 vColor;
+
+    uniform vec3 uLightPos;
+    uniform float uAmbient;
+    uniform float uDiffuse;
+
+    void main() {
+        vec3 norm = normalize(vNormal);
+        vec3 lightDir = normalize(uLightPos - vFragPos);
+
+        // Two-sided lighting so thin ribbons are lit from either face
+        float ambient = uAmbient;
+        float diffuse = abs(dot(norm, lightDir)) * uDiffuse;
+
+        vec3 result = (ambient + diffuse) * vColor;
+        gl_FragColor = vec4(result, 1.0);
+    }
+`;
+
+// Vertex shader for instanced atoms: a unit sphere moved and scaled per atom
+const atomVertexShaderSource = `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+    attribute vec3 aOffset;
+    attribute float aRadius;
+    attribute vec3 aColor;
+
+    uniform mat4 uViewMatrix;
+    uniform mat4 uProjectionMatrix;
+    uniform float uRadiusScale;
+    uniform float uModelScale;
+
+    varying vec3 vNormal;
+    varying vec3 vFragPos;
+    varying vec3 vColor;
+
+    void main() {
+        vec3 worldPos = (aOffset + aPosition * aRadius * uRadiusScale) * uModelScale;
+        vFragPos = worldPos;
+        vNormal = aNormal;
+        vColor = aColor;
+
+        gl_Position = uProjectionMatrix * uViewMatrix * vec4(worldPos, 1.0);
+    }
+`;
+
+// Fragment shader for instanced atoms (with lighting)
+const atomFragmentShaderSource = `
+    precision mediump float;
+
+    varying vec3 vNormal;
+    varying vec3 vFragPos;
+    varying vec3 vColor;
+
+    uniform vec3 uLightPos;
+    uniform float uAmbient;
+    uniform float uDiffuse;
+
+    void main() {
+        vec3 norm = normalize(vNormal);
+        vec3 lightDir = normalize(uLightPos - vFragPos);
+
+        float ambient = uAmbient;
+        float diffuse = max(dot(norm, lightDir), 0.0) * uDiffuse;
+
+        vec3 result = (ambient + diffuse) * vColor;
+        gl_FragColor = vec4(result, 1.0);
+    }
+`;
+
+// Vertex shader for sphere impostors: an eye-facing quad in front of each atom
+const sphereImpostorVertexShaderSource = `
+    attribute vec2 aCorner;
+    attribute vec3 aOffset;
+    attribute float aRadius;
+    attribute vec3 aColor;
+
+    uniform mat4 uViewMatrix;
+    uniform mat4 uProjectionMatrix;
+    uniform float uRadiusScale;
+    uniform float uModelScale;
+
+    varying vec3 vViewPos;
+    varying vec3 vCenter;
+    varying float vRadius;
+    varying vec3 vColor;
+
+    void main() {
+        vec3 center = (uViewMatrix * vec4(aOffset * uModelScale, 1.0)).xyz;
+        float radius = aRadius * uRadiusScale * uModelScale;
+
+        // Pushed out to the front of the sphere, a quad of half-size r covers the silhouette
+        vec3 toEye = normalize(-center);
+        vec3 right = normalize(cross(toEye, abs(toEye.y) > 0.99 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0)));
+        vec3 up = cross(right, toEye);
+        vec3 viewPos = center + (toEye + right * aCorner.x + up * aCorner.y) * radius;
+
+        vViewPos = viewPos;
+        vCenter = center;
+        vRadius = radius;
+        vColor = aColor;
+
+        gl_Position = uProjectionMatrix * vec4(viewPos, 1.0);
+    }
+`;
+
+// Fragment shader for sphere impostors: ray-cast the sphere in view space
+const sphereImpostorFragmentShaderSource = `
+    #extension GL_EXT_frag_depth : enable
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    varying vec3 vViewPos;
+    varying vec3 vCenter;
+    varying float vRadius;
+    varying vec3 vColor;
+
+    uniform mat4 uProjectionMatrix;
+    uniform vec3 uLightPos; // View space
+    uniform float uAmbient;
+    uniform float uDiffuse;
+
+    void main() {
+        // Eye ray through this fragment against the sphere
+        vec3 rayDir = normalize(vViewPos);
+        float b = dot(rayDir, vCenter);
+        float h = b * b - dot(vCenter, vCenter) + vRadius * vRadius;
+        if (h < 0.0) discard;
+
+        vec3 hit = rayDir * (b - sqrt(h));
+        vec3 norm = (hit - vCenter) / vRadius;
+        vec3 lightDir = normalize(uLightPos - hit);
+
+        float ambient = uAmbient;
+        float diffuse = max(dot(norm, lightDir), 0.0) * uDiffuse;
+        gl_FragColor = vec4((ambient + diffuse) * vColor, 1.0);
+
+        vec4 clipPos = uProjectionMatrix * vec4(hit, 1.0);
+        gl_FragDepthEXT = 0.5 * (clipPos.z / clipPos.w) + 0.5;
+    }
+`;
+
+// Vertex shader for cylinder impostors: the unit cube stretched around each bond
+const cylinderImpostorVertexShaderSource = `
+    attribute vec3 aPosition;
+    attribute vec3 aStart;
+    attribute vec3 aEnd;
+    attribute float aRadius;
+    attribute vec3 aStartColor;
+    attribute vec3 aEndColor;
+
+    uniform mat4 uViewMatrix;
+    uniform mat4 uProjectionMatrix;
+    uniform float uModelScale;
+
+    varying vec3 vViewPos;
+    varying vec3 vStart;
+    varying vec3 vEnd;
+    varying float vRadius;
+    varying vec3 vStartColor;
+    varying vec3 vEndColor;
+
+    void main() {
+        vec3 start = aStart * uModelScale;
+        vec3 end = aEnd * uModelScale;
+        float radius = aRadius * uModelScale;
+
+        vec3 axis = end - start;
+        vec3 w = normalize(axis);
+        vec3 u = normalize(cross(w, abs(w.y) > 0.99 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0)));
+        vec3 v = cross(w, u);
+
+        // Cube corners are at +-1, so this box just encloses the cylinder
+        vec3 worldPos = 0.5 * (start + end) +
+            (u * aPosition.x + v * aPosition.y) * radius +
+            w * aPosition.z * 0.5 * length(axis);
+        vec4 viewPos = uViewMatrix * vec4(worldPos, 1.0);
+
+        vViewPos = viewPos.xyz;
+        vStart = (uViewMatrix * vec4(start, 1.0)).xyz;
+        vEnd = (uViewMatrix * vec4(end, 1.0)).xyz;
+        vRadius = radius;
+        vStartColor = aStartColor;
+        vEndColor = aEndColor;
+
+        gl_Position = uProjectionMatrix * viewPos;
+    }
+`;
+
+// Fragment shader for cylinder impostors: ray-cast an open cylinder in view space
+const cylinderImpostorFragmentShaderSource = `
+    #extension GL_EXT_frag_depth : enable
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    varying vec3 vViewPos;
+    varying vec3 vStart;
+    varying vec3 vEnd;
+    varying float vRadius;
+    varying vec3 vStartColor;
+    varying vec3 vEndColor;
+
+    uniform mat4 uProjectionMatrix;
+    uniform vec3 uLightPos; // View space
+    uniform float uAmbient;
+    uniform float uDiffuse;
+
+    void main() {
+        // Eye ray (from the origin) against the infinite cylinder around start-end
+        vec3 rayDir = normalize(vViewPos);
+        vec3 ba = vEnd - vStart;
+        vec3 oc = -vStart;
+        float baba = dot(ba, ba);
+        float bard = dot(ba, rayDir);
+        float baoc = dot(ba, oc);
+
+        float k2 = baba - bard * bard;
+        float k1 = baba * dot(oc, rayDir) - baoc * bard;
+        float k0 = baba * dot(oc, oc) - baoc * baoc - vRadius * vRadius * baba;
+        float h = k1 * k1 - k2 * k0;
+        if (h < 0.0) discard;
+
+        // Keep hits between the end points; the atom spheres cap the ends
+        float t = (-k1 - sqrt(h)) / k2;
+        float y = baoc + t * bard;
+        if (y < 0.0 || y > baba) discard;
+
+        vec3 hit = rayDir * t;
+        vec3 norm = (oc + rayDir * t - ba * (y / baba)) / vRadius;
+        vec3 lightDir = normalize(uLightPos - hit);
+
+        float ambient = uAmbient;
+        float diffuse = max(dot(norm, lightDir), 0.0) * uDiffuse;
+        vec3 color = y < 0.5 * baba ? vStartColor : vEndColor;
+        gl_FragColor = vec4((ambient + diffuse) * color, 1.0);
+
+        vec4 clipPos = uProjectionMatrix * vec4(hit, 1.0);
+        gl_FragDepthEXT = 0.5 * (clipPos.z / clipPos.w) + 0.5;
+    }
+`;
+
 // ===== SHADER COMPILATION =====
 
 function compileShader(source, type) {
@@ -167,6 +541,41 @@ function createProgram(vertexSource, fragmentSource) {
 // Create shader programs
 const cubeProgram = createProgram(cubeVertexShaderSource, cubeFragmentShaderSource);
 const helperProgram = createProgram(helperVertexShaderSource, helperFragmentShaderSource);
+const meshProgram = createProgram(meshVertexShaderSource, meshFragmentShaderSource);
+const atomProgram = createProgram(atomVertexShaderSource, atomFragmentShaderSource);
+const sphereImpostorProgram = fragDepthExt
+    ? createProgram(sphereImpostorVertexShaderSource, sphereImpostorFragmentShaderSource)
+    : null;
+const cylinderImpostorProgram = fragDepthExt
+    ? createProgram(cylinderImpostorVertexShaderSource, cylinderImpostorFragmentShaderSource)
+    : null;
+
+/**
+ * Instanced drawing entry points for this context
+ * WebGL2 has them built in; WebGL1 needs the ANGLE_instanced_arrays extension.
+ * @returns {Object|null} {vertexAttribDivisor, drawElementsInstanced}, or null if unsupported
+ */
+function getInstancingSupport() {
+    if (isWebGL2) {
+        return {
+            vertexAttribDivisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+            drawElementsInstanced: (mode, count, type, offset, instanceCount) =>
+                gl.drawElementsInstanced(mode, count, type, offset, instanceCount)
+        };
+    }
+
+    const ext = gl.getExtension('ANGLE_instanced_arrays');
+    if (!ext) {
+        console.warn('Instanced drawing not supported, atoms are drawn one at a time');
+        return null;
+    }
+
+    return {
+        vertexAttribDivisor: (location, divisor) => ext.vertexAttribDivisorANGLE(location, divisor),
+        drawElementsInstanced: (mode, count, type, offset, instanceCount) =>
+            ext.drawElementsInstancedANGLE(mode, count, type, offset, instanceCount)
+    };
+}
 
 // ===== CUBE GEOMETRY =====
 
@@ -229,10 +638,21 @@ const gridBuffer = gl.createBuffer();
 gl.bindBuffer(gl.ARRAY_BUFFER, gridBuffer);
 gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(gridVertices), gl.STATIC_DRAW);
 
+// ===== IMPOSTOR GEOMETRY =====
+
+// One quad per atom, expanded around the atom by the sphere impostor shader
+const impostorQuadBuffer = gl.createBuffer();
+gl.bindBuffer(gl.ARRAY_BUFFER, impostorQuadBuffer);
+gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, 1, 1, -1, 1]), gl.STATIC_DRAW);
+
+const impostorQuadIndexBuffer = gl.createBuffer();
+gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, impostorQuadIndexBuffer);
+gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 1, 2, 0, 2, 3]), gl.STATIC_DRAW);
+
 // ===== MATRIX MATH UTILITIES =====
 
 function createPerspectiveMatrix(fov, aspect, near, far) {
-    console.log("func: createPerspectiveMatrix")
+    //console.log("func: createPerspectiveMatrix")
     const f = 1.0 / Math.tan(fov / 2);
     const nf = 1 / (near - far);
 
@@ -245,7 +665,7 @@ function createPerspectiveMatrix(fov, aspect, near, far) {
 }
 
 function createLookAtMatrix(eyeX, eyeY, eyeZ, centerX, centerY, centerZ, upX, upY, upZ) {
-    console.log("func: createLookAtMatrix")
+    //console.log("func: createLookAtMatrix")
     let zx = eyeX - centerX;
     let zy = eyeY - centerY;
     let zz = eyeZ - centerZ;
@@ -310,6 +730,486 @@ function multiplyMatrices(a, b) {
     return result;
 }
 
+// Transform a point by a column-major 4x4 matrix (w = 1)
+function transformPoint(matrix, point) {
+    const [x, y, z] = point;
+    return [
+        matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+        matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+        matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+    ];
+}
+
+// Inverse transform of a point by a rigid (rotation and translation) matrix such as the view matrix
+function inverseTransformPoint(matrix, point) {
+    const x = point[0] - matrix[12];
+    const y = point[1] - matrix[13];
+    const z = point[2] - matrix[14];
+    return [
+        matrix[0] * x + matrix[1] * y + matrix[2] * z,
+        matrix[4] * x + matrix[5] * y + matrix[6] * z,
+        matrix[8] * x + matrix[9] * y + matrix[10] * z
+    ];
+}
+
+// ===== QUATERNIONS =====
+
+// Quaternions are [x, y, z, w]; rotations compose right to left like matrices
+
+function quatFromAxisAngle(axis, angle) {
+    const s = Math.sin(angle / 2);
+    return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+}
+
+function multiplyQuat(a, b) {
+    return [
+        a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+        a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+        a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+        a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+    ];
+}
+
+// Repeated products drift away from unit length
+function normalizeQuat(q) {
+    const length = Math.hypot(q[0], q[1], q[2], q[3]);
+    return [q[0] / length, q[1] / length, q[2] / length, q[3] / length];
+}
+
+function rotateVec3ByQuat(q, v) {
+    const u = [q[0], q[1], q[2]];
+    const uv = crossVec3(u, v);
+    const uuv = crossVec3(u, uv);
+    return addVec3(v, addVec3(scaleVec3(uv, 2 * q[3]), scaleVec3(uuv, 2)));
+}
+
+/**
+ * Quaternion for the rotation whose matrix has the given unit column vectors
+ */
+function quatFromBasis(xAxis, yAxis, zAxis) {
+    const [m00, m10, m20] = xAxis;
+    const [m01, m11, m21] = yAxis;
+    const [m02, m12, m22] = zAxis;
+    const trace = m00 + m11 + m22;
+
+    // Divide by the largest of w, x, y, z to stay accurate
+    if (trace > 0) {
+        const s = 2 * Math.sqrt(trace + 1);
+        return normalizeQuat([(m21 - m12) / s, (m02 - m20) / s, (m10 - m01) / s, s / 4]);
+    } else if (m00 > m11 && m00 > m22) {
+        const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+        return normalizeQuat([s / 4, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s]);
+    } else if (m11 > m22) {
+        const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+        return normalizeQuat([(m01 + m10) / s, s / 4, (m12 + m21) / s, (m02 - m20) / s]);
+    }
+    const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+    return normalizeQuat([(m02 + m20) / s, (m12 + m21) / s, s / 4, (m10 - m01) / s]);
+}
+
+// ===== LIGHTING =====
+
+/**
+ * Set the light position and strengths from debugSettings on a lit program
+ * The light is fixed in the world, or follows the camera when lightMode is 'camera'.
+ * @param {WebGLProgram} program - Program with uLightPos, uAmbient and uDiffuse
+ * @param {Array} viewMatrix - Current view matrix
+ * @param {boolean} viewSpace - True for shaders that light in view space
+ */
+function setLightingUniforms(program, viewMatrix, viewSpace = false) {
+    let lightPos = [debugSettings.lightX, debugSettings.lightY, debugSettings.lightZ];
+    if (debugSettings.lightMode === 'camera' && !viewSpace) {
+        lightPos = inverseTransformPoint(viewMatrix, lightPos);
+    } else if (debugSettings.lightMode !== 'camera' && viewSpace) {
+        lightPos = transformPoint(viewMatrix, lightPos);
+    }
+
+    gl.uniform3f(gl.getUniformLocation(program, 'uLightPos'), ...lightPos);
+    gl.uniform1f(gl.getUniformLocation(program, 'uAmbient'), debugSettings.ambientStrength);
+    gl.uniform1f(gl.getUniformLocation(program, 'uDiffuse'), debugSettings.diffuseStrength);
+}
+
+// ===== CAMERA =====
+
+// Camera position, orbiting cameraTarget
+function getCameraEye() {
+    if (debugSettings.rotationMode === 'arcball') {
+        return addVec3(cameraTarget, rotateVec3ByQuat(cameraOrientation, [0, 0, currentCameraDistance]));
+    }
+    return getOrbitEye();
+}
+
+// Camera up direction; orbit mode keeps it on the world Y axis
+function getCameraUp() {
+    if (debugSettings.rotationMode === 'arcball') {
+        return rotateVec3ByQuat(cameraOrientation, [0, 1, 0]);
+    }
+    return [0, 1, 0];
+}
+
+// Camera position for the orbit angles rotationX and rotationY
+// Like the arcball eye it sits exactly currentCameraDistance from the target, so modes convert losslessly
+function getOrbitEye() {
+    return [
+        cameraTarget[0] + currentCameraDistance * Math.sin(rotationY) * Math.cos(rotationX),
+        cameraTarget[1] + currentCameraDistance * Math.sin(rotationX),
+        cameraTarget[2] + currentCameraDistance * Math.cos(rotationY) * Math.cos(rotationX)
+    ];
+}
+
+/**
+ * World-space ray from the camera through a point on the canvas
+ * @param {number} clientX - Pointer position in client pixels
+ * @param {number} clientY - Pointer position in client pixels
+ * @returns {Object} {origin, direction, forward, right, up}
+ */
+function getCursorRay(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const ndcX = 2 * (clientX - rect.left) / rect.width - 1;
+    const ndcY = 1 - 2 * (clientY - rect.top) / rect.height;
+
+    const eye = getCameraEye();
+    const forward = normalizeVec3(subtractVec3(cameraTarget, eye));
+    const right = normalizeVec3(crossVec3(forward, getCameraUp()));
+    const up = crossVec3(right, forward);
+
+    const tanHalfFov = Math.tan(cameraFov / 2);
+    const aspect = canvas.width / canvas.height;
+    const direction = normalizeVec3(addVec3(forward, addVec3(
+        scaleVec3(right, ndcX * tanHalfFov * aspect),
+        scaleVec3(up, ndcY * tanHalfFov)
+    )));
+
+    return { origin: eye, direction, forward, right, up };
+}
+
+// Where a ray crosses the plane through point that faces the camera
+function intersectViewPlane(ray, point) {
+    const t = dotVec3(subtractVec3(point, ray.origin), ray.forward) / dotVec3(ray.direction, ray.forward);
+    return addVec3(ray.origin, scaleVec3(ray.direction, t));
+}
+
+/**
+ * Point on the arcball under a canvas position, in camera space
+ * The ball fills the smaller canvas dimension; outside it the point slides to the rim.
+ */
+function arcballVector(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const radius = Math.min(rect.width, rect.height) / 2;
+    const x = (clientX - rect.left - rect.width / 2) / radius;
+    const y = (rect.top + rect.height / 2 - clientY) / radius;
+    const lengthSquared = x * x + y * y;
+
+    if (lengthSquared > 1) {
+        const length = Math.sqrt(lengthSquared);
+        return [x / length, y / length, 0];
+    }
+    return [x, y, Math.sqrt(1 - lengthSquared)];
+}
+
+/**
+ * Camera-space rotation (axis times angle) that carries the ball point under one
+ * canvas position to the point under another
+ */
+function arcballRotation(fromX, fromY, toX, toY) {
+    const from = arcballVector(fromX, fromY);
+    const to = arcballVector(toX, toY);
+    const angle = Math.acos(Math.min(1, dotVec3(from, to)));
+    return scaleVec3(normalizeVec3(crossVec3(from, to)), angle);
+}
+
+/**
+ * Turn the scene by a camera-space rotation vector (axis times angle)
+ * The camera turns the opposite way around cameraTarget, so there is no gimbal lock.
+ */
+function rotateArcball(rotation) {
+    const angle = lengthVec3(rotation);
+    if (angle < 1e-9) return;
+
+    const turn = quatFromAxisAngle(scaleVec3(rotation, 1 / angle), -angle);
+    cameraOrientation = normalizeQuat(multiplyQuat(cameraOrientation, turn));
+}
+
+// Arcball orientation looking from the orbit camera position
+function orbitToQuaternion() {
+    const back = normalizeVec3(subtractVec3(getOrbitEye(), cameraTarget));
+    const right = normalizeVec3(crossVec3([0, 1, 0], back));
+    return quatFromBasis(right, crossVec3(back, right), back);
+}
+
+/**
+ * Carry the view over when switching rotation mode
+ * Going back to orbit drops any roll and levels the horizon.
+ */
+function syncRotationMode(mode) {
+    rotationVelocityX = 0;
+    rotationVelocityY = 0;
+    arcballVelocity = [0, 0, 0];
+
+    if (mode === 'arcball') {
+        cameraOrientation = orbitToQuaternion();
+    } else {
+        const back = normalizeVec3(rotateVec3ByQuat(cameraOrientation, [0, 0, 1]));
+        rotationX = Math.asin(Math.max(-1, Math.min(1, back[1])));
+        rotationY = Math.atan2(back[0], back[2]);
+    }
+    requestRender();
+}
+
+/**
+ * Change the camera distance by a factor, keeping the point under the cursor in place
+ */
+function zoomAtCursor(factor, clientX, clientY) {
+    const anchor = intersectViewPlane(getCursorRay(clientX, clientY), cameraTarget);
+    currentCameraDistance = Math.max(minCameraDistance, Math.min(maxCameraDistance, currentCameraDistance * factor));
+
+    // Moving the target moves the cursor ray with it, so shift it back through the anchor
+    const moved = intersectViewPlane(getCursorRay(clientX, clientY), anchor);
+    cameraTarget = addVec3(cameraTarget, subtractVec3(anchor, moved));
+    requestRender();
+}
+
+/**
+ * Move the camera sideways so the scene follows a pointer drag of (deltaX, deltaY) pixels
+ */
+function panCamera(deltaX, deltaY) {
+    const rect = canvas.getBoundingClientRect();
+    const ray = getCursorRay(rect.left, rect.top);
+    const distance = Math.hypot(...subtractVec3(cameraTarget, ray.origin));
+    const unitsPerPixel = 2 * distance * Math.tan(cameraFov / 2) / rect.height;
+
+    cameraTarget = addVec3(cameraTarget, addVec3(
+        scaleVec3(ray.right, -deltaX * unitsPerPixel),
+        scaleVec3(ray.up, deltaY * unitsPerPixel)
+    ));
+    requestRender();
+}
+
+/**
+ * Orbit around the atom under the cursor, or the point at the current target depth
+ */
+function recenterAt(clientX, clientY) {
+    const ray = getCursorRay(clientX, clientY);
+    cameraTarget = pickAtomCenter(ray) || intersectViewPlane(ray, cameraTarget);
+    requestRender();
+}
+
+/**
+ * Center of the nearest drawn atom hit by a ray, for the atom-based views
+ * @param {Object} ray - From getCursorRay
+ * @returns {Array|null} World position, or null if no atom is hit
+ */
+function pickAtomCenter(ray) {
+    const index = pickAtom(ray);
+    return index >= 0 ? getAtomWorldPosition(index) : null;
+}
+
+// ===== PICKING =====
+
+// Atoms are only drawn as spheres in these views
+function isAtomView() {
+    return proteinGeometry !== null && ['protein', 'spacefill', 'surface'].includes(viewMode);
+}
+
+function isAtomShown(index) {
+    return !shownAtomMask || shownAtomMask[index] === 1;
+}
+
+// Shown atom records only, for representations that don't need displayedAtoms indices
+function getShownAtoms() {
+    return shownAtomMask ? displayedAtoms.filter((atom, i) => shownAtomMask[i]) : displayedAtoms;
+}
+
+// Sphere radius an atom is drawn with, as a factor of its van der Waals radius
+function getAtomRadiusScale() {
+    return viewMode === 'protein' ? debugSettings.beadRadius : 1.0;
+}
+
+function getAtomWorldPosition(index) {
+    const positions = proteinGeometry.atoms.positions;
+    const scale = debugSettings.proteinScale;
+    return [positions[index * 3] * scale, positions[index * 3 + 1] * scale, positions[index * 3 + 2] * scale];
+}
+
+/**
+ * Nearest drawn atom hit by a ray, tested against the atom spheres on the CPU
+ * @param {Object} ray - From getCursorRay
+ * @returns {number} Index into displayedAtoms, or -1 if no atom is hit
+ */
+function pickAtom(ray) {
+    if (!isAtomView()) return -1;
+
+    const radii = proteinGeometry.atoms.vdwRadii;
+    const radiusScale = getAtomRadiusScale() * debugSettings.proteinScale;
+
+    let nearest = -1;
+    let nearestT = Infinity;
+    for (let i = 0; i < radii.length; i++) {
+        if (!isAtomShown(i) || (viewMode === 'protein' && proteinGeometry.atoms.elements[i] === 'H')) continue;
+
+        const center = getAtomWorldPosition(i);
+        const radius = radii[i] * radiusScale;
+
+        // Ray-sphere test: closest approach, then the entry point
+        const toCenter = subtractVec3(center, ray.origin);
+        const along = dotVec3(toCenter, ray.direction);
+        const missSquared = dotVec3(toCenter, toCenter) - along * along;
+        if (missSquared > radius * radius) continue;
+
+        const t = along - Math.sqrt(radius * radius - missSquared);
+        if (t > 0 && t < nearestT) {
+            nearestT = t;
+            nearest = i;
+        }
+    }
+
+    return nearest;
+}
+
+// One-line description of an atom record for the tooltip and selection label
+function describeAtom(atom) {
+    const residue = `${atom.resName} ${atom.resSeq}${atom.iCode}`;
+    return `${atom.element} ${atom.name} · ${residue} · chain ${atom.chainId || '-'} · serial ${atom.serial}`;
+}
+
+/**
+ * Select the atom under a canvas position; an empty spot clears the selection
+ * @param {boolean} additive - Add the atom to the selection, or remove it if already selected
+ */
+function selectAtomAt(clientX, clientY, additive = false) {
+    const index = pickAtom(getCursorRay(clientX, clientY));
+
+    if (!additive) {
+        selectedAtoms = index >= 0 ? [index] : [];
+    } else if (index >= 0) {
+        selectedAtoms = selectedAtoms.includes(index)
+            ? selectedAtoms.filter(i => i !== index)
+            : [...selectedAtoms, index];
+    }
+
+    updateSelectionHighlight();
+    requestRender();
+}
+
+function clearSelection() {
+    selectedAtoms = [];
+    updateSelectionHighlight();
+}
+
+/**
+ * Add the atom under a canvas position to the measurement being picked
+ * Picked atoms show as the selection; the last one completes the measurement.
+ */
+function pickMeasurementAtom(clientX, clientY) {
+    const index = pickAtom(getCursorRay(clientX, clientY));
+    if (index < 0 || selectedAtoms.includes(index)) return;
+
+    selectedAtoms = [...selectedAtoms, index];
+    if (selectedAtoms.length === measurementAtomCounts[measureMode]) {
+        const measurement = createMeasurement(selectedAtoms.map(i => displayedAtoms[i]));
+        console.log(`✓ ${measurement.type}: ${measurement.label}`);
+
+        measurement.atomIndices = selectedAtoms;
+        measurement.labelElement = document.createElement('div');
+        measurement.labelElement.className = 'measurement-label';
+        measurement.labelElement.textContent = measurement.label;
+        document.getElementById('measurement-labels').appendChild(measurement.labelElement);
+
+        measurements.push(measurement);
+        selectedAtoms = [];
+        updateMeasurementGeometry();
+    }
+
+    updateSelectionHighlight();
+    requestRender();
+}
+
+function clearMeasurements() {
+    for (const measurement of measurements) {
+        measurement.labelElement.remove();
+    }
+    measurements = [];
+    updateMeasurementGeometry();
+}
+
+/**
+ * Measure every measurement again on the displayed atoms, e.g. after stepping to another model
+ */
+function updateMeasurementValues() {
+    for (const measurement of measurements) {
+        const { value, label } = createMeasurement(measurement.atomIndices.map(i => displayedAtoms[i]));
+        measurement.value = value;
+        measurement.label = label;
+        measurement.labelElement.textContent = label;
+    }
+    updateMeasurementGeometry();
+}
+
+// Measurements are drawn only while all of their atoms are shown
+function isMeasurementShown(measurement) {
+    return measurement.atomIndices.every(isAtomShown);
+}
+
+/**
+ * Upload dashed lines for the shown measurements, in Angstroms like the atom positions
+ */
+function updateMeasurementGeometry() {
+    releaseBuffers('measurements');
+    measurementLineBuffer = null;
+    measurementVertexCount = 0;
+    if (measurements.length === 0) return;
+
+    const positions = [];
+    for (const measurement of measurements.filter(isMeasurementShown)) {
+        const points = measurement.atomIndices.map(i => [displayedAtoms[i].x, displayedAtoms[i].y, displayedAtoms[i].z]);
+        positions.push(...createDashedPolyline(points, 0.25, 0.15));
+    }
+
+    measurementLineBuffer = createTrackedBuffer('measurements', gl.ARRAY_BUFFER, new Float32Array(positions));
+    measurementVertexCount = positions.length / 3;
+}
+
+/**
+ * Upload highlight spheres for the selected atoms and update the selection label
+ */
+function updateSelectionHighlight() {
+    releaseBuffers('selection');
+    selectionInstances = null;
+
+    const label = document.getElementById('selection-label');
+    label.textContent = selectedAtoms.length === 1
+        ? `Selected: ${describeAtom(displayedAtoms[selectedAtoms[0]])}`
+        : selectedAtoms.length > 1 ? `Selected: ${selectedAtoms.length} atoms` : '';
+    if (selectedAtoms.length === 0) return;
+
+    const atoms = proteinGeometry.atoms;
+    const highlighted = { positions: [], colors: [], elements: [] };
+    const radii = [];
+    for (const index of selectedAtoms) {
+        highlighted.positions.push(atoms.positions[index * 3], atoms.positions[index * 3 + 1], atoms.positions[index * 3 + 2]);
+        highlighted.colors.push(...selectionColor);
+        highlighted.elements.push(atoms.elements[index]);
+        radii.push(atoms.vdwRadii[index]);
+    }
+    selectionInstances = uploadAtomInstances(highlighted, radii, null, 'selection');
+}
+
+/**
+ * Show the hovered atom next to the cursor, or hide the tooltip when index is -1
+ */
+function updateAtomTooltip(index, clientX, clientY) {
+    const tooltip = document.getElementById('atom-tooltip');
+    if (index < 0) {
+        tooltip.style.display = 'none';
+        return;
+    }
+
+    tooltip.textContent = describeAtom(displayedAtoms[index]);
+    tooltip.style.left = `${clientX + 14}px`;
+    tooltip.style.top = `${clientY + 14}px`;
+    tooltip.style.display = 'block';
+}
+
 // ===== RENDERING =====
 
 // Cube positions and colors
@@ -320,33 +1220,62 @@ const cubes = [
     { position: [ 2, 0,  2], color: [1.0, 1.0, 0.0] }  // Yellow
 ];
 
-// Sphere geometry for atoms (created once, reused)
+// Sphere geometry for atoms (created and uploaded once, reused)
 let sphereGeometry = null;
 let sphereVertexCount = 0;
+let sphereBuffers = null;
+
+// Space-filling spheres get their detail from the atom count (see chooseSphereDetail)
+let spacefillSphereGeometry = null;
+let spacefillSphereBuffers = null;
+let spacefillSphereDetail = 0;
+const spacefillTriangleBudget = 2000000;
 
 function initSphereGeometry() {
     sphereGeometry = createSphere(1.0, 6, 6);
     sphereVertexCount = sphereGeometry.indices.length;
+    sphereBuffers = uploadMeshGeometry(sphereGeometry, 1.0, null);
+}
+
+/**
+ * Pick UV-sphere bands so that atomCount spheres stay within the triangle budget
+ * Small structures get smooth spheres, 5IYN-sized ones fall back to coarser ones.
+ */
+function chooseSphereDetail(atomCount, triangleBudget) {
+    // A sphere with n latitude and n longitude bands has 2n² triangles
+    const bands = Math.floor(Math.sqrt(triangleBudget / Math.max(atomCount, 1) / 2));
+    return Math.max(8, Math.min(32, bands));
+}
+
+/**
+ * Upload the unit sphere for space-filling atoms, unless one with the right detail is already there
+ * Every model and structure shares it; only the instance buffers are per model.
+ * @param {number} atomCount - Number of atoms drawn as spheres
+ */
+function updateSpacefillSphere(atomCount) {
+    const detail = chooseSphereDetail(atomCount, spacefillTriangleBudget);
+    if (spacefillSphereBuffers && detail === spacefillSphereDetail) return;
+
+    releaseBuffers('spacefill');
+    spacefillSphereDetail = detail;
+    spacefillSphereGeometry = createSphere(1.0, detail, detail);
+    spacefillSphereBuffers = uploadMeshGeometry(spacefillSphereGeometry, 1.0, 'spacefill');
 }
 
 function render() {
-    console.log("func: render")
+    //console.log("func: render")
     // Clear
     gl.viewport(0, 0, canvas.width, canvas.height);
-    gl.clearColor(0.22, 0.22, 0.22, 1.0);
+    gl.clearColor(...hexToRGB(debugSettings.backgroundColor), 1.0);
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     gl.enable(gl.DEPTH_TEST);
 
     // Projection matrix
-    const fov = 75 * Math.PI / 180;
     const aspect = canvas.width / canvas.height;
-    const projectionMatrix = createPerspectiveMatrix(fov, aspect, 0.1, 100.0);
+    const projectionMatrix = createPerspectiveMatrix(cameraFov, aspect, 0.1, 100.0);
 
     // View matrix (camera)
-    const camX = currentCameraDistance * Math.sin(rotationY) * Math.cos(rotationX);
-    const camY = defaultCameraY + currentCameraDistance * Math.sin(rotationX);
-    const camZ = currentCameraDistance * Math.cos(rotationY) * Math.cos(rotationX);
-    const viewMatrix = createLookAtMatrix(camX, camY, camZ, 0, 0, 0, 0, 1, 0);
+    const viewMatrix = createLookAtMatrix(...getCameraEye(), ...cameraTarget, ...getCameraUp());
 
     // Render based on view mode
     if (viewMode === 'protein' && proteinLoaded) {
@@ -354,6 +1283,20 @@ function render() {
         // Render helpers for protein view
         renderGrid(projectionMatrix, viewMatrix);
         renderAxis(projectionMatrix, viewMatrix);
+    } else if (viewMode === 'spacefill' && proteinLoaded) {
+        renderSpacefill(projectionMatrix, viewMatrix);
+        renderGrid(projectionMatrix, viewMatrix);
+        renderAxis(projectionMatrix, viewMatrix);
+    } else if (viewMode === 'surface' && proteinLoaded) {
+        renderSurface(projectionMatrix, viewMatrix);
+        renderGrid(projectionMatrix, viewMatrix);
+        renderAxis(projectionMatrix, viewMatrix);
+    } else if (viewMode === 'cartoon' && cartoonBuffers.length > 0) {
+        renderCartoon(projectionMatrix, viewMatrix);
+    } else if (viewMode === 'mesh' && objMeshBuffers.length > 0) {
+        renderOBJMesh(projectionMatrix, viewMatrix);
+        renderGrid(projectionMatrix, viewMatrix);
+        renderAxis(projectionMatrix, viewMatrix);
     } else if (viewMode === 'backbone' && backboneGeometry) {
         renderBackbone(projectionMatrix, viewMatrix);
         // Optionally hide helpers in backbone view for clarity
@@ -365,10 +1308,16 @@ function render() {
         renderGrid(projectionMatrix, viewMatrix);
         renderAxis(projectionMatrix, viewMatrix);
     }
+
+    if (proteinLoaded && isAtomView()) {
+        renderSelection(projectionMatrix, viewMatrix);
+        renderMeasurements(projectionMatrix, viewMatrix);
+    }
+    positionMeasurementLabels(projectionMatrix, viewMatrix);
 }
 
 function renderCubes(projectionMatrix, viewMatrix) {
-    console.log("func: renderCubes")
+    //console.log("func: renderCubes")
     gl.useProgram(cubeProgram);
 
     // Get attribute and uniform locations
@@ -377,13 +1326,12 @@ function renderCubes(projectionMatrix, viewMatrix) {
     const cubeModelMatrixLoc = gl.getUniformLocation(cubeProgram, 'uModelMatrix');
     const cubeViewMatrixLoc = gl.getUniformLocation(cubeProgram, 'uViewMatrix');
     const cubeProjectionMatrixLoc = gl.getUniformLocation(cubeProgram, 'uProjectionMatrix');
-    const cubeLightPosLoc = gl.getUniformLocation(cubeProgram, 'uLightPos');
     const cubeColorLoc = gl.getUniformLocation(cubeProgram, 'uColor');
 
     // Set projection and view matrices
     gl.uniformMatrix4fv(cubeProjectionMatrixLoc, false, projectionMatrix);
     gl.uniformMatrix4fv(cubeViewMatrixLoc, false, viewMatrix);
-    gl.uniform3f(cubeLightPosLoc, 5.0, 5.0, 5.0);
+    setLightingUniforms(cubeProgram, viewMatrix);
 
     // Bind cube vertex buffer
     gl.bindBuffer(gl.ARRAY_BUFFER, cubeVertexBuffer);
@@ -408,79 +1356,227 @@ function renderCubes(projectionMatrix, viewMatrix) {
 }
 
 function renderProtein(projectionMatrix, viewMatrix) {
-    console.log("func: renderProtein")
-    if (!proteinGeometry || !sphereGeometry) return;
-
-    gl.useProgram(cubeProgram);
+    //console.log("func: renderProtein")
+    if (!atomInstances || !sphereBuffers) return;
 
-    const cubePositionLoc = gl.getAttribLocation(cubeProgram, 'aPosition');
-    const cubeNormalLoc = gl.getAttribLocation(cubeProgram, 'aNormal');
-    const cubeModelMatrixLoc = gl.getUniformLocation(cubeProgram, 'uModelMatrix');
-    const cubeViewMatrixLoc = gl.getUniformLocation(cubeProgram, 'uViewMatrix');
-    const cubeProjectionMatrixLoc = gl.getUniformLocation(cubeProgram, 'uProjectionMatrix');
-    const cubeLightPosLoc = gl.getUniformLocation(cubeProgram, 'uLightPos');
-    const cubeColorLoc = gl.getUniformLocation(cubeProgram, 'uColor');
+    // Ball-and-stick beads (hydrogens are left out of atomInstances), shrunk by the bead size
+    if (impostorsEnabled()) {
+        renderSphereImpostors(projectionMatrix, viewMatrix, atomInstances, debugSettings.beadRadius);
+    } else {
+        renderAtomSpheres(projectionMatrix, viewMatrix, sphereBuffers, atomInstances, debugSettings.beadRadius);
+    }
 
-    gl.uniformMatrix4fv(cubeProjectionMatrixLoc, false, projectionMatrix);
-    gl.uniformMatrix4fv(cubeViewMatrixLoc, false, viewMatrix);
-    gl.uniform3f(cubeLightPosLoc, 5.0, 5.0, 5.0);
+    // Render bonds as GL lines or oriented cylinders
+    if (!debugSettings.showBonds) {
+        return;
+    } else if (debugSettings.bondStyle === 'cylinders' && impostorsEnabled()) {
+        renderCylinderImpostors(projectionMatrix, viewMatrix, bondInstances);
+    } else if (debugSettings.bondStyle === 'cylinders') {
+        renderBondCylinders(projectionMatrix, viewMatrix);
+    } else {
+        renderBonds(projectionMatrix, viewMatrix);
+    }
+}
 
-    // Create temporary buffers for sphere
-    const sphereVertexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, sphereVertexBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, sphereGeometry.vertices, gl.STATIC_DRAW);
-    gl.enableVertexAttribArray(cubePositionLoc);
-    gl.vertexAttribPointer(cubePositionLoc, 3, gl.FLOAT, false, 0, 0);
+function renderSpacefill(projectionMatrix, viewMatrix) {
+    //console.log("func: renderSpacefill")
+    if (!spacefillInstances || !spacefillSphereBuffers) return;
 
-    const sphereNormalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, sphereNormalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, sphereGeometry.normals, gl.STATIC_DRAW);
-    gl.enableVertexAttribArray(cubeNormalLoc);
-    gl.vertexAttribPointer(cubeNormalLoc, 3, gl.FLOAT, false, 0, 0);
+    // Full van der Waals spheres, hydrogens included
+    if (impostorsEnabled()) {
+        renderSphereImpostors(projectionMatrix, viewMatrix, spacefillInstances, 1.0);
+    } else {
+        renderAtomSpheres(projectionMatrix, viewMatrix, spacefillSphereBuffers, spacefillInstances, 1.0);
+    }
+}
 
-    const sphereIndexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, sphereIndexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, sphereGeometry.indices, gl.STATIC_DRAW);
+// Impostors need instancing and fragment depth; otherwise tessellated meshes are drawn
+function impostorsEnabled() {
+    return debugSettings.impostors && instancing !== null && sphereImpostorProgram !== null;
+}
 
-    // Render each atom as a sphere
-    const numAtoms = proteinGeometry.atoms.positions.length / 3;
-    for (let i = 0; i < numAtoms; i++) {
-        // Skip Hydrogens
-        if (proteinGeometry.atoms.elements[i] === 'H') continue;
-        // Apply protein scale to positions
-        const x = proteinGeometry.atoms.positions[i * 3] * proteinScale;
-        const y = proteinGeometry.atoms.positions[i * 3 + 1] * proteinScale;
-        const z = proteinGeometry.atoms.positions[i * 3 + 2] * proteinScale;
-        const r = proteinGeometry.atoms.radii[i] * proteinScale;
+/**
+ * Draw the selected atoms as translucent halos
+ * Drawn over everything, so the selection also shows through the surface.
+ */
+function renderSelection(projectionMatrix, viewMatrix) {
+    //console.log("func: renderSelection")
+    if (!selectionInstances) return;
+
+    // Blend with a constant alpha, so the atom shaders don't need an alpha uniform
+    gl.disable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendColor(0, 0, 0, 0.45);
+    gl.blendFunc(gl.CONSTANT_ALPHA, gl.ONE_MINUS_CONSTANT_ALPHA);
+
+    const radiusScale = getAtomRadiusScale() * 1.3;
+    if (impostorsEnabled()) {
+        renderSphereImpostors(projectionMatrix, viewMatrix, selectionInstances, radiusScale);
+    } else {
+        renderAtomSpheres(projectionMatrix, viewMatrix, sphereBuffers, selectionInstances, radiusScale);
+    }
 
-        // Create model matrix: scale then translate
-        const scaleMatrix = createScaleMatrix(r, r, r);
-        const transMatrix = createTranslationMatrix(x, y, z);
-        const modelMatrix = multiplyMatrices(transMatrix, scaleMatrix);
+    gl.disable(gl.BLEND);
+    gl.enable(gl.DEPTH_TEST);
+}
 
-        gl.uniformMatrix4fv(cubeModelMatrixLoc, false, modelMatrix);
+/**
+ * Draw atoms as lit spheres, all in one instanced draw call when supported
+ * @param {Object} sphere - Unit sphere buffers from uploadMeshGeometry
+ * @param {Object} instances - Per-atom buffers from uploadAtomInstances
+ * @param {number} radiusScale - Factor applied to the per-atom radii
+ */
+function renderAtomSpheres(projectionMatrix, viewMatrix, sphere, instances, radiusScale) {
+    gl.useProgram(atomProgram);
+
+    const atomPositionLoc = gl.getAttribLocation(atomProgram, 'aPosition');
+    const atomNormalLoc = gl.getAttribLocation(atomProgram, 'aNormal');
+    const atomOffsetLoc = gl.getAttribLocation(atomProgram, 'aOffset');
+    const atomRadiusLoc = gl.getAttribLocation(atomProgram, 'aRadius');
+    const atomColorLoc = gl.getAttribLocation(atomProgram, 'aColor');
+    const atomViewMatrixLoc = gl.getUniformLocation(atomProgram, 'uViewMatrix');
+    const atomProjectionMatrixLoc = gl.getUniformLocation(atomProgram, 'uProjectionMatrix');
+    const atomRadiusScaleLoc = gl.getUniformLocation(atomProgram, 'uRadiusScale');
+    const atomModelScaleLoc = gl.getUniformLocation(atomProgram, 'uModelScale');
+
+    gl.uniformMatrix4fv(atomProjectionMatrixLoc, false, projectionMatrix);
+    gl.uniformMatrix4fv(atomViewMatrixLoc, false, viewMatrix);
+    gl.uniform1f(atomRadiusScaleLoc, radiusScale);
+    gl.uniform1f(atomModelScaleLoc, debugSettings.proteinScale);
+    setLightingUniforms(atomProgram, viewMatrix);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, sphere.vertexBuffer);
+    gl.enableVertexAttribArray(atomPositionLoc);
+    gl.vertexAttribPointer(atomPositionLoc, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, sphere.normalBuffer);
+    gl.enableVertexAttribArray(atomNormalLoc);
+    gl.vertexAttribPointer(atomNormalLoc, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, sphere.indexBuffer);
+
+    if (!instancing) {
+        // Without instancing, feed each atom through constant attribute values
+        for (let i = 0; i < instances.count; i++) {
+            gl.vertexAttrib3f(atomOffsetLoc, instances.offsets[i * 3], instances.offsets[i * 3 + 1], instances.offsets[i * 3 + 2]);
+            gl.vertexAttrib1f(atomRadiusLoc, instances.radii[i]);
+            gl.vertexAttrib3f(atomColorLoc, instances.colors[i * 3], instances.colors[i * 3 + 1], instances.colors[i * 3 + 2]);
+            gl.drawElements(gl.TRIANGLES, sphere.indexCount, sphere.indexType, 0);
+        }
+        return;
+    }
 
-        const color = [
-            proteinGeometry.atoms.colors[i * 3],
-            proteinGeometry.atoms.colors[i * 3 + 1],
-            proteinGeometry.atoms.colors[i * 3 + 2]
-        ];
-        gl.uniform3f(cubeColorLoc, ...color);
+    const perInstance = [
+        [atomOffsetLoc, instances.offsetBuffer, 3],
+        [atomRadiusLoc, instances.radiusBuffer, 1],
+        [atomColorLoc, instances.colorBuffer, 3]
+    ];
+    bindInstanceAttributes(perInstance);
+    instancing.drawElementsInstanced(gl.TRIANGLES, sphere.indexCount, sphere.indexType, 0, instances.count);
+    unbindInstanceAttributes(perInstance);
+}
 
-        gl.drawElements(gl.TRIANGLES, sphereVertexCount, gl.UNSIGNED_SHORT, 0);
-    }
+/**
+ * Draw atoms as ray-cast sphere impostors, one instanced quad per atom
+ * @param {Object} instances - Per-atom buffers from uploadAtomInstances
+ * @param {number} radiusScale - Factor applied to the per-atom radii
+ */
+function renderSphereImpostors(projectionMatrix, viewMatrix, instances, radiusScale) {
+    gl.useProgram(sphereImpostorProgram);
+
+    const cornerLoc = gl.getAttribLocation(sphereImpostorProgram, 'aCorner');
+    const offsetLoc = gl.getAttribLocation(sphereImpostorProgram, 'aOffset');
+    const radiusLoc = gl.getAttribLocation(sphereImpostorProgram, 'aRadius');
+    const colorLoc = gl.getAttribLocation(sphereImpostorProgram, 'aColor');
+    const viewMatrixLoc = gl.getUniformLocation(sphereImpostorProgram, 'uViewMatrix');
+    const projectionMatrixLoc = gl.getUniformLocation(sphereImpostorProgram, 'uProjectionMatrix');
+    const radiusScaleLoc = gl.getUniformLocation(sphereImpostorProgram, 'uRadiusScale');
+    const modelScaleLoc = gl.getUniformLocation(sphereImpostorProgram, 'uModelScale');
+
+    gl.uniformMatrix4fv(projectionMatrixLoc, false, projectionMatrix);
+    gl.uniformMatrix4fv(viewMatrixLoc, false, viewMatrix);
+    gl.uniform1f(radiusScaleLoc, radiusScale);
+    gl.uniform1f(modelScaleLoc, debugSettings.proteinScale);
+    setLightingUniforms(sphereImpostorProgram, viewMatrix, true);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, impostorQuadBuffer);
+    gl.enableVertexAttribArray(cornerLoc);
+    gl.vertexAttribPointer(cornerLoc, 2, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, impostorQuadIndexBuffer);
+
+    const perInstance = [
+        [offsetLoc, instances.offsetBuffer, 3],
+        [radiusLoc, instances.radiusBuffer, 1],
+        [colorLoc, instances.colorBuffer, 3]
+    ];
+    bindInstanceAttributes(perInstance);
+    instancing.drawElementsInstanced(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0, instances.count);
+    unbindInstanceAttributes(perInstance);
+}
 
-    // Clean up temporary buffers
-    gl.deleteBuffer(sphereVertexBuffer);
-    gl.deleteBuffer(sphereNormalBuffer);
-    gl.deleteBuffer(sphereIndexBuffer);
+/**
+ * Draw bonds as ray-cast cylinder impostors, one instanced box per bond
+ * @param {Object} instances - Per-bond buffers from uploadBondInstances
+ */
+function renderCylinderImpostors(projectionMatrix, viewMatrix, instances) {
+    gl.useProgram(cylinderImpostorProgram);
+
+    const positionLoc = gl.getAttribLocation(cylinderImpostorProgram, 'aPosition');
+    const startLoc = gl.getAttribLocation(cylinderImpostorProgram, 'aStart');
+    const endLoc = gl.getAttribLocation(cylinderImpostorProgram, 'aEnd');
+    const radiusLoc = gl.getAttribLocation(cylinderImpostorProgram, 'aRadius');
+    const startColorLoc = gl.getAttribLocation(cylinderImpostorProgram, 'aStartColor');
+    const endColorLoc = gl.getAttribLocation(cylinderImpostorProgram, 'aEndColor');
+    const viewMatrixLoc = gl.getUniformLocation(cylinderImpostorProgram, 'uViewMatrix');
+    const projectionMatrixLoc = gl.getUniformLocation(cylinderImpostorProgram, 'uProjectionMatrix');
+    const modelScaleLoc = gl.getUniformLocation(cylinderImpostorProgram, 'uModelScale');
+
+    gl.uniformMatrix4fv(projectionMatrixLoc, false, projectionMatrix);
+    gl.uniformMatrix4fv(viewMatrixLoc, false, viewMatrix);
+    gl.uniform1f(modelScaleLoc, debugSettings.proteinScale);
+    setLightingUniforms(cylinderImpostorProgram, viewMatrix, true);
+
+    // The cube from createCube(1.0) is the bounding box of a unit cylinder
+    gl.bindBuffer(gl.ARRAY_BUFFER, cubeVertexBuffer);
+    gl.enableVertexAttribArray(positionLoc);
+    gl.vertexAttribPointer(positionLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, cubeIndexBuffer);
 
-    // Render bonds
-    renderBonds(projectionMatrix, viewMatrix);
+    const perInstance = [
+        [startLoc, instances.startBuffer, 3],
+        [endLoc, instances.endBuffer, 3],
+        [radiusLoc, instances.radiusBuffer, 1],
+        [startColorLoc, instances.startColorBuffer, 3],
+        [endColorLoc, instances.endColorBuffer, 3]
+    ];
+    bindInstanceAttributes(perInstance);
+    instancing.drawElementsInstanced(gl.TRIANGLES, 36, gl.UNSIGNED_SHORT, 0, instances.count);
+    unbindInstanceAttributes(perInstance);
+}
+
+/**
+ * Point attributes at per-instance buffers that advance once per instance
+ * @param {Array} attributes - [location, buffer, size] entries
+ */
+function bindInstanceAttributes(attributes) {
+    for (const [location, buffer, size] of attributes) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+        instancing.vertexAttribDivisor(location, 1);
+    }
+}
+
+// Divisors belong to the attribute slot, so reset them for the other programs
+function unbindInstanceAttributes(attributes) {
+    for (const [location] of attributes) {
+        instancing.vertexAttribDivisor(location, 0);
+        gl.disableVertexAttribArray(location);
+    }
 }
 
 function renderBonds(projectionMatrix, viewMatrix) {
-    console.log("func: renderBonds")
+    //console.log("func: renderBonds")
     if (!proteinGeometry) return;
 
     gl.useProgram(helperProgram);
@@ -489,34 +1585,26 @@ function renderBonds(projectionMatrix, viewMatrix) {
     const helperViewMatrixLoc = gl.getUniformLocation(helperProgram, 'uViewMatrix');
     const helperProjectionMatrixLoc = gl.getUniformLocation(helperProgram, 'uProjectionMatrix');
     const helperColorLoc = gl.getUniformLocation(helperProgram, 'uColor');
+    const helperModelMatrixLoc = gl.getUniformLocation(helperProgram, 'uModelMatrix');
 
+    const scale = debugSettings.proteinScale;
     gl.uniformMatrix4fv(helperProjectionMatrixLoc, false, projectionMatrix);
     gl.uniformMatrix4fv(helperViewMatrixLoc, false, viewMatrix);
+    gl.uniformMatrix4fv(helperModelMatrixLoc, false, createScaleMatrix(scale, scale, scale));
 
-    // Scale bond positions
-    const scaledBondPositions = [];
-    for (let i = 0; i < proteinGeometry.bonds.positions.length; i++) {
-        scaledBondPositions.push(proteinGeometry.bonds.positions[i] * proteinScale);
-    }
-
-    const bondBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, bondBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(scaledBondPositions), gl.STATIC_DRAW);
-
+    gl.bindBuffer(gl.ARRAY_BUFFER, bondLineBuffer);
     gl.enableVertexAttribArray(helperPositionLoc);
     gl.vertexAttribPointer(helperPositionLoc, 3, gl.FLOAT, false, 0, 0);
 
     gl.uniform3f(helperColorLoc, 0.5, 0.5, 0.5);
 
-    const numBonds = scaledBondPositions.length / 3;
+    const numBonds = proteinGeometry.bonds.positions.length / 3;
     gl.drawArrays(gl.LINES, 0, numBonds);
-
-    gl.deleteBuffer(bondBuffer);
 }
 
 function renderBackbone(projectionMatrix, viewMatrix) {
-    console.log("func: renderBackbone")
-    if (!backboneGeometry || !sphereGeometry) return;
+    //console.log("func: renderBackbone")
+    if (!backboneGeometry || !sphereBuffers) return;
 
     gl.useProgram(cubeProgram);
 
@@ -525,29 +1613,21 @@ function renderBackbone(projectionMatrix, viewMatrix) {
     const cubeModelMatrixLoc = gl.getUniformLocation(cubeProgram, 'uModelMatrix');
     const cubeViewMatrixLoc = gl.getUniformLocation(cubeProgram, 'uViewMatrix');
     const cubeProjectionMatrixLoc = gl.getUniformLocation(cubeProgram, 'uProjectionMatrix');
-    const cubeLightPosLoc = gl.getUniformLocation(cubeProgram, 'uLightPos');
     const cubeColorLoc = gl.getUniformLocation(cubeProgram, 'uColor');
 
     gl.uniformMatrix4fv(cubeProjectionMatrixLoc, false, projectionMatrix);
     gl.uniformMatrix4fv(cubeViewMatrixLoc, false, viewMatrix);
-    gl.uniform3f(cubeLightPosLoc, 5.0, 5.0, 5.0);
+    setLightingUniforms(cubeProgram, viewMatrix);
 
-    // Create temporary buffers for sphere
-    const sphereVertexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, sphereVertexBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, sphereGeometry.vertices, gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, sphereBuffers.vertexBuffer);
     gl.enableVertexAttribArray(cubePositionLoc);
     gl.vertexAttribPointer(cubePositionLoc, 3, gl.FLOAT, false, 0, 0);
 
-    const sphereNormalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, sphereNormalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, sphereGeometry.normals, gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, sphereBuffers.normalBuffer);
     gl.enableVertexAttribArray(cubeNormalLoc);
     gl.vertexAttribPointer(cubeNormalLoc, 3, gl.FLOAT, false, 0, 0);
 
-    const sphereIndexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, sphereIndexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, sphereGeometry.indices, gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, sphereBuffers.indexBuffer);
 
     // Render backbone as small spheres at CA positions
     const numVertices = backboneGeometry.positions.length / 3;
@@ -578,15 +1658,82 @@ function renderBackbone(projectionMatrix, viewMatrix) {
 
     // Also draw connecting lines between spheres for clarity
     renderBackboneLines(projectionMatrix, viewMatrix);
+}
+
+function renderCartoon(projectionMatrix, viewMatrix) {
+    //console.log("func: renderCartoon")
+    for (const chunk of cartoonBuffers) {
+        renderMesh(chunk, projectionMatrix, viewMatrix);
+    }
+}
+
+function renderSurface(projectionMatrix, viewMatrix) {
+    //console.log("func: renderSurface")
+    // The atoms stand in until the surface has been computed
+    if (!ensureSurfaceGeometry()) {
+        renderSpacefill(projectionMatrix, viewMatrix);
+        return;
+    }
+
+    for (const chunk of surfaceBuffers) {
+        renderMesh(chunk, projectionMatrix, viewMatrix);
+    }
+}
+
+function renderOBJMesh(projectionMatrix, viewMatrix) {
+    //console.log("func: renderOBJMesh")
+    for (const chunk of objMeshBuffers) {
+        renderMesh(chunk, projectionMatrix, viewMatrix);
+    }
+}
+
+function renderBondCylinders(projectionMatrix, viewMatrix) {
+    //console.log("func: renderBondCylinders")
+    for (const chunk of stickBuffers) {
+        renderMesh(chunk, projectionMatrix, viewMatrix);
+    }
+}
 
-    // Clean up temporary buffers
-    gl.deleteBuffer(sphereVertexBuffer);
-    gl.deleteBuffer(sphereNormalBuffer);
-    gl.deleteBuffer(sphereIndexBuffer);
+/**
+ * Draw an uploaded mesh (see uploadMeshGeometry) with per-vertex colors and lighting
+ */
+function renderMesh(meshBuffers, projectionMatrix, viewMatrix) {
+    gl.useProgram(meshProgram);
+
+    const meshPositionLoc = gl.getAttribLocation(meshProgram, 'aPosition');
+    const meshNormalLoc = gl.getAttribLocation(meshProgram, 'aNormal');
+    const meshColorLoc = gl.getAttribLocation(meshProgram, 'aColor');
+    const meshModelMatrixLoc = gl.getUniformLocation(meshProgram, 'uModelMatrix');
+    const meshViewMatrixLoc = gl.getUniformLocation(meshProgram, 'uViewMatrix');
+    const meshProjectionMatrixLoc = gl.getUniformLocation(meshProgram, 'uProjectionMatrix');
+
+    gl.uniformMatrix4fv(meshProjectionMatrixLoc, false, projectionMatrix);
+    gl.uniformMatrix4fv(meshViewMatrixLoc, false, viewMatrix);
+    const scale = meshBuffers.scale * debugSettings.proteinScale;
+    gl.uniformMatrix4fv(meshModelMatrixLoc, false, createScaleMatrix(scale, scale, scale));
+    setLightingUniforms(meshProgram, viewMatrix);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, meshBuffers.vertexBuffer);
+    gl.enableVertexAttribArray(meshPositionLoc);
+    gl.vertexAttribPointer(meshPositionLoc, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, meshBuffers.normalBuffer);
+    gl.enableVertexAttribArray(meshNormalLoc);
+    gl.vertexAttribPointer(meshNormalLoc, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, meshBuffers.colorBuffer);
+    gl.enableVertexAttribArray(meshColorLoc);
+    gl.vertexAttribPointer(meshColorLoc, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, meshBuffers.indexBuffer);
+    gl.drawElements(gl.TRIANGLES, meshBuffers.indexCount, meshBuffers.indexType, 0);
+
+    // Other programs only use attribute 0 and 1
+    gl.disableVertexAttribArray(meshColorLoc);
 }
 
 function renderBackboneLines(projectionMatrix, viewMatrix) {
-    console.log("func: renderBackboneLines")
+    //console.log("func: renderBackboneLines")
     if (!backboneGeometry) return;
 
     gl.useProgram(helperProgram);
@@ -595,15 +1742,14 @@ function renderBackboneLines(projectionMatrix, viewMatrix) {
     const helperViewMatrixLoc = gl.getUniformLocation(helperProgram, 'uViewMatrix');
     const helperProjectionMatrixLoc = gl.getUniformLocation(helperProgram, 'uProjectionMatrix');
     const helperColorLoc = gl.getUniformLocation(helperProgram, 'uColor');
+    const helperModelMatrixLoc = gl.getUniformLocation(helperProgram, 'uModelMatrix');
 
+    const scale = debugSettings.proteinScale;
     gl.uniformMatrix4fv(helperProjectionMatrixLoc, false, projectionMatrix);
     gl.uniformMatrix4fv(helperViewMatrixLoc, false, viewMatrix);
+    gl.uniformMatrix4fv(helperModelMatrixLoc, false, createScaleMatrix(scale, scale, scale));
 
-    // Create buffer for backbone positions
-    const backboneBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, backboneBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(backboneGeometry.positions), gl.STATIC_DRAW);
-
+    gl.bindBuffer(gl.ARRAY_BUFFER, backboneLineBuffer);
     gl.enableVertexAttribArray(helperPositionLoc);
     gl.vertexAttribPointer(helperPositionLoc, 3, gl.FLOAT, false, 0, 0);
 
@@ -619,18 +1765,70 @@ function renderBackboneLines(projectionMatrix, viewMatrix) {
             backboneGeometry.colors[colorIndex + 2]
         ];
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, backboneBuffer);
-        gl.vertexAttribPointer(helperPositionLoc, 3, gl.FLOAT, false, 0, 0);
-
         gl.uniform3f(helperColorLoc, color[0], color[1], color[2]);
         gl.drawArrays(gl.LINES, i * 2, 2);
     }
+}
+
+function renderMeasurements(projectionMatrix, viewMatrix) {
+    //console.log("func: renderMeasurements")
+    if (!measurementLineBuffer) return;
+
+    gl.useProgram(helperProgram);
 
-    gl.deleteBuffer(backboneBuffer);
+    const helperPositionLoc = gl.getAttribLocation(helperProgram, 'aPosition');
+    const helperViewMatrixLoc = gl.getUniformLocation(helperProgram, 'uViewMatrix');
+    const helperProjectionMatrixLoc = gl.getUniformLocation(helperProgram, 'uProjectionMatrix');
+    const helperColorLoc = gl.getUniformLocation(helperProgram, 'uColor');
+    const helperModelMatrixLoc = gl.getUniformLocation(helperProgram, 'uModelMatrix');
+
+    const scale = debugSettings.proteinScale;
+    gl.uniformMatrix4fv(helperProjectionMatrixLoc, false, projectionMatrix);
+    gl.uniformMatrix4fv(helperViewMatrixLoc, false, viewMatrix);
+    gl.uniformMatrix4fv(helperModelMatrixLoc, false, createScaleMatrix(scale, scale, scale));
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, measurementLineBuffer);
+    gl.enableVertexAttribArray(helperPositionLoc);
+    gl.vertexAttribPointer(helperPositionLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.uniform3f(helperColorLoc, ...selectionColor);
+
+    // Kept visible when the atoms are in the way, like the selection
+    gl.disable(gl.DEPTH_TEST);
+    gl.drawArrays(gl.LINES, 0, measurementVertexCount);
+    gl.enable(gl.DEPTH_TEST);
+}
+
+/**
+ * Move each measurement label over the middle of its atoms
+ * Labels are hidden in views that don't draw the atoms.
+ */
+function positionMeasurementLabels(projectionMatrix, viewMatrix) {
+    const visible = proteinLoaded && isAtomView();
+
+    for (const measurement of measurements) {
+        const label = measurement.labelElement;
+        const centers = measurement.atomIndices.map(getAtomWorldPosition);
+        const middle = scaleVec3(centers.reduce(addVec3), 1 / centers.length);
+
+        // Clip space, then CSS pixels inside the canvas border
+        const viewPos = transformPoint(viewMatrix, middle);
+        const clip = transformPoint(projectionMatrix, viewPos);
+        const w = -viewPos[2];
+        if (!visible || w <= 0 || !isMeasurementShown(measurement)) {
+            label.style.display = 'none';
+            continue;
+        }
+
+        label.style.display = 'block';
+        label.style.left = `${canvas.clientLeft + (clip[0] / w + 1) / 2 * canvas.clientWidth}px`;
+        label.style.top = `${canvas.clientTop + (1 - clip[1] / w) / 2 * canvas.clientHeight}px`;
+    }
 }
 
 function renderGrid(projectionMatrix, viewMatrix) {
-    console.log("func: renderGrid")
+    //console.log("func: renderGrid")
+    if (!debugSettings.showGrid) return;
+
     gl.useProgram(helperProgram);
 
     const helperPositionLoc = gl.getAttribLocation(helperProgram, 'aPosition');
@@ -640,6 +1838,7 @@ function renderGrid(projectionMatrix, viewMatrix) {
 
     gl.uniformMatrix4fv(helperProjectionMatrixLoc, false, projectionMatrix);
     gl.uniformMatrix4fv(helperViewMatrixLoc, false, viewMatrix);
+    gl.uniformMatrix4fv(gl.getUniformLocation(helperProgram, 'uModelMatrix'), false, createScaleMatrix(1, 1, 1));
 
     gl.bindBuffer(gl.ARRAY_BUFFER, gridBuffer);
     gl.enableVertexAttribArray(helperPositionLoc);
@@ -649,7 +1848,9 @@ function renderGrid(projectionMatrix, viewMatrix) {
 }
 
 function renderAxis(projectionMatrix, viewMatrix) {
-    console.log("func: renderAxis")
+    //console.log("func: renderAxis")
+    if (!debugSettings.showAxis) return;
+
     gl.useProgram(helperProgram);
 
     const helperPositionLoc = gl.getAttribLocation(helperProgram, 'aPosition');
@@ -659,6 +1860,7 @@ function renderAxis(projectionMatrix, viewMatrix) {
 
     gl.uniformMatrix4fv(helperProjectionMatrixLoc, false, projectionMatrix);
     gl.uniformMatrix4fv(helperViewMatrixLoc, false, viewMatrix);
+    gl.uniformMatrix4fv(gl.getUniformLocation(helperProgram, 'uModelMatrix'), false, createScaleMatrix(1, 1, 1));
 
     gl.bindBuffer(gl.ARRAY_BUFFER, axisBuffer);
     gl.vertexAttribPointer(helperPositionLoc, 3, gl.FLOAT, false, 0, 0);
@@ -678,20 +1880,76 @@ function renderAxis(projectionMatrix, viewMatrix) {
 
 // ===== INTERACTION =====
 
-// Mouse events
-canvas.addEventListener('mousedown', (e) => {
-    //console.log("evt: mousedown")
+// Pointer events cover mouse, pen and touch
+canvas.addEventListener('pointerdown', (e) => {
+    //console.log("evt: pointerdown")
+    canvas.setPointerCapture(e.pointerId);
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, button: e.button });
+    updateAtomTooltip(-1);
+
+    if (activePointers.size === 1) {
+        // Double click or double tap re-centres the orbit
+        const now = performance.now();
+        if (now - lastTapTime < doubleTapDelay && Math.hypot(e.clientX - lastTapX, e.clientY - lastTapY) < 20) {
+            recenterAt(e.clientX, e.clientY);
+            activePointers.get(e.pointerId).recentred = true;
+            lastTapTime = 0;
+        } else {
+            lastTapTime = now;
+            lastTapX = e.clientX;
+            lastTapY = e.clientY;
+        }
+
+        // Right or middle button, or shift-drag, pans instead of rotating
+        isPanning = e.button === 1 || e.button === 2 || e.shiftKey;
+    }
+
     isDragging = true;
-    lastMouseX = e.clientX;
-    lastMouseY = e.clientY;
+    rotationVelocityX = 0;
+    rotationVelocityY = 0;
+    arcballVelocity = [0, 0, 0];
 });
 
-canvas.addEventListener('mousemove', (e) => {
-    //console.log("evt: mousemove")
-    if (!isDragging) return;
+canvas.addEventListener('pointermove', (e) => {
+    //console.log("evt: pointermove")
+    const pointer = activePointers.get(e.pointerId);
+    if (!pointer) {
+        // Mouse hover without a button down shows what is under the cursor
+        if (e.pointerType === 'mouse' && activePointers.size === 0) {
+            updateAtomTooltip(pickAtom(getCursorRay(e.clientX, e.clientY)), e.clientX, e.clientY);
+        }
+        return;
+    }
 
-    const deltaX = e.clientX - lastMouseX;
-    const deltaY = e.clientY - lastMouseY;
+    if (activePointers.size >= 2) {
+        pinchMove(e.pointerId, e.clientX, e.clientY);
+        return;
+    }
+
+    const previousX = pointer.x;
+    const previousY = pointer.y;
+    const deltaX = e.clientX - previousX;
+    const deltaY = e.clientY - previousY;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (isPanning) {
+        panCamera(deltaX, deltaY);
+        return;
+    }
+
+    // Track drag speed so the view can keep turning after release
+    const now = performance.now();
+    const elapsed = Math.max((now - lastMouseMoveTime) / 1000, 1 / 240);
+    lastMouseMoveTime = now;
+
+    if (debugSettings.rotationMode === 'arcball') {
+        const rotation = arcballRotation(previousX, previousY, e.clientX, e.clientY);
+        rotateArcball(rotation);
+        arcballVelocity = scaleVec3(rotation, 1 / elapsed);
+        requestRender();
+        return;
+    }
 
     rotationY -= deltaX * 0.01; // Reversed for intuitive rotation
     rotationX += deltaY * 0.01;
@@ -699,20 +1957,90 @@ canvas.addEventListener('mousemove', (e) => {
     // Clamp vertical rotation
     rotationX = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotationX));
 
-    lastMouseX = e.clientX;
-    lastMouseY = e.clientY;
+    rotationVelocityY = -deltaX * 0.01 / elapsed;
+    rotationVelocityX = deltaY * 0.01 / elapsed;
 
-    render();
+    requestRender();
 });
 
-canvas.addEventListener('mouseup', () => {
-    //console.log("evt: mouseup")
-    isDragging = false;
-});
+/**
+ * Two-finger gesture: the change in finger spacing zooms, the midpoint movement pans
+ */
+function pinchMove(pointerId, clientX, clientY) {
+    const [first, second] = [...activePointers.values()];
+    const previousMidX = (first.x + second.x) / 2;
+    const previousMidY = (first.y + second.y) / 2;
+    const previousSpread = Math.hypot(first.x - second.x, first.y - second.y);
+
+    const pointer = activePointers.get(pointerId);
+    pointer.x = clientX;
+    pointer.y = clientY;
+
+    const midX = (first.x + second.x) / 2;
+    const midY = (first.y + second.y) / 2;
+    const spread = Math.hypot(first.x - second.x, first.y - second.y);
+
+    if (previousSpread > 0 && spread > 0) {
+        zoomAtCursor(previousSpread / spread, midX, midY);
+    }
+    panCamera(midX - previousMidX, midY - previousMidY);
+}
+
+function releasePointer(e) {
+    //console.log("evt: pointerup")
+    const pointer = activePointers.get(e.pointerId);
+    if (!activePointers.delete(e.pointerId)) return;
+
+    // A left click that didn't drag selects (ctrl or cmd adds to the selection)
+    const clicked = e.type === 'pointerup' && pointer.button === 0 && !isPanning && !pointer.recentred &&
+        Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) < 4;
+    if (clicked && activePointers.size === 0 && proteinLoaded) {
+        if (measureMode !== 'off') {
+            pickMeasurementAtom(pointer.x, pointer.y);
+        } else {
+            selectAtomAt(pointer.x, pointer.y, e.ctrlKey || e.metaKey);
+        }
+    }
+
+    if (activePointers.size === 0) {
+        endDrag();
+    } else {
+        // Lifting one finger of a pinch shouldn't throw the view
+        lastMouseMoveTime = 0;
+    }
+}
+
+canvas.addEventListener('pointerup', releasePointer);
+canvas.addEventListener('pointercancel', releasePointer);
+canvas.addEventListener('pointerleave', () => updateAtomTooltip(-1));
+
+// Right-drag pans, so keep the context menu away
+canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+// Wheel zooms toward the cursor
+canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    zoomAtCursor(Math.exp(e.deltaY * 0.001), e.clientX, e.clientY);
+}, { passive: false });
 
-canvas.addEventListener('mouseleave', () => {
-    //console.log("evt: mouseleave")
+function endDrag() {
+    if (!isDragging) return;
     isDragging = false;
+
+    // Holding still before letting go (or panning) means no throw
+    if (!debugSettings.inertia || isPanning || performance.now() - lastMouseMoveTime > 100) {
+        rotationVelocityX = 0;
+        rotationVelocityY = 0;
+        arcballVelocity = [0, 0, 0];
+    }
+    requestRender();
+}
+
+// Keep the drawing buffer matched to the canvas size
+window.addEventListener('resize', () => {
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    requestRender();
 });
 
 // Reset camera button
@@ -720,16 +2048,30 @@ document.getElementById('reset-camera').addEventListener('click', () => {
     //console.log("evt: Button reset-camera")
     rotationX = defaultRotationX;
     rotationY = defaultRotationY;
-    render();
+    rotationVelocityX = 0;
+    rotationVelocityY = 0;
+    arcballVelocity = [0, 0, 0];
+    cameraTarget = [0, 0, 0];
+    cameraOrientation = orbitToQuaternion();
+    currentCameraDistance = proteinViewModes.includes(viewMode) ? 25.0 : defaultCameraDistance;
+    requestRender();
 });
 
 // View mode selector
 document.getElementById('view-mode').addEventListener('change', (e) => {
     //console.log("evt: Button view mode")
-    viewMode = e.target.value;
+    setViewMode(e.target.value);
+});
+
+/**
+ * Switch to a view mode, loading the selected protein if the view needs one
+ */
+function setViewMode(mode) {
+    viewMode = mode;
+    document.getElementById('view-mode').value = mode;
 
     // Adjust camera distance based on view
-    if (viewMode === 'protein' || viewMode === 'backbone') {
+    if (proteinViewModes.includes(viewMode)) {
         currentCameraDistance = 25.0; // Closer camera for scaled proteins
 
         // Load protein if not already loaded
@@ -741,61 +2083,1095 @@ document.getElementById('view-mode').addEventListener('change', (e) => {
         currentCameraDistance = defaultCameraDistance;
     }
 
-    render();
-});
+    updateColorLegend();
+    updateSurfaceStatus();
+    requestRender();
+}
 
 // Protein selector
 document.getElementById('protein-selector').addEventListener('change', (e) => {
     //console.log("evt: Button protein selection")
-    if (viewMode === 'protein' || viewMode === 'backbone') {
+    if (proteinViewModes.includes(viewMode)) {
         loadProteinStructure(e.target.value);
     }
 });
 
+// PDB ID entry
+document.getElementById('pdb-id-load').addEventListener('click', () => loadEnteredPDBId());
+document.getElementById('pdb-id-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') loadEnteredPDBId();
+});
+
+/**
+ * Load the PDB ID typed into the entry field, after checking that it is one
+ */
+function loadEnteredPDBId() {
+    const text = document.getElementById('pdb-id-input').value;
+    const status = document.getElementById('pdb-id-status');
+    const pdbId = parsePDBId(text);
+    if (!pdbId) {
+        status.textContent = `"${text.trim()}" is not a PDB ID (a digit and three letters or digits)`;
+        return;
+    }
+    status.textContent = '';
+
+    // Switch first, so the view doesn't start loading the dropdown's protein instead
+    if (!proteinViewModes.includes(viewMode)) setViewMode('protein');
+    loadProteinStructure(pdbId);
+}
+
+/**
+ * Recently loaded PDB IDs, most recent first
+ */
+function getRecentStructures() {
+    try {
+        const stored = JSON.parse(readStoredValue('recentStructures') || '[]');
+        return Array.isArray(stored) ? stored.filter(id => typeof id === 'string' && parsePDBId(id)) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Move a loaded PDB ID to the top of the history, select it in the dropdown
+ * and put it in the page URL so that reloading or sharing the page shows it again
+ */
+function rememberStructure(pdbId) {
+    const id = pdbId.toUpperCase();
+    const recent = [id, ...getRecentStructures().filter(other => other !== id)].slice(0, maxRecentStructures);
+    writeStoredValue('recentStructures', JSON.stringify(recent));
+    updateRecentStructures();
+    document.getElementById('protein-selector').value = id;
+
+    // Sandboxed or file:// pages may refuse the URL change; the structure is loaded either way
+    try {
+        const url = new URL(window.location.href);
+        url.searchParams.set('pdb', id);
+        history.replaceState(null, '', url);
+    } catch (error) {
+        console.warn(`Cannot update the page URL: ${error.message}`);
+    }
+}
+
+/**
+ * List the history in the dropdown's Recent group, leaving out the built-in entries
+ */
+function updateRecentStructures() {
+    const group = document.getElementById('recent-structures');
+    const builtIn = [...document.getElementById('protein-selector').querySelectorAll(':scope > option')].map(option => option.value);
+
+    group.innerHTML = '';
+    for (const id of getRecentStructures()) {
+        if (builtIn.includes(id)) continue;
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = id;
+        group.appendChild(option);
+    }
+}
+
+// Model stepper
+document.getElementById('model-prev').addEventListener('click', () => {
+    stopModelPlayback();
+    setModel(currentModelIndex - 1);
+});
+
+document.getElementById('model-next').addEventListener('click', () => {
+    stopModelPlayback();
+    setModel(currentModelIndex + 1);
+});
+
+document.getElementById('model-play').addEventListener('click', () => {
+    if (modelPlayTimer) {
+        stopModelPlayback();
+    } else {
+        startModelPlayback();
+    }
+});
+
+document.getElementById('model-overlay').addEventListener('change', (e) => {
+    overlayModels = e.target.checked;
+    if (overlayModels) stopModelPlayback();
+    if (!proteinLoaded) return;
+    updateProteinGeometry();
+    updateModelControls();
+    requestRender();
+});
+
+// Measurement mode selector; switching drops a half-picked measurement
+document.getElementById('measure-mode').addEventListener('change', (e) => {
+    measureMode = e.target.value;
+    clearSelection();
+    requestRender();
+});
+
+document.getElementById('clear-measurements').addEventListener('click', () => {
+    clearMeasurements();
+    requestRender();
+});
+
+// ===== SELECTION EXPRESSIONS =====
+
+/**
+ * Evaluate the selection box over the displayed atoms and report the result
+ * @returns {Object|null} {expression, indices}, or null if nothing is loaded or the expression is invalid
+ */
+function evaluateSelectionInput() {
+    const expression = document.getElementById('selection-input').value.trim();
+    const status = document.getElementById('selection-status');
+    if (!proteinLoaded || !expression) return null;
+
+    try {
+        const mask = selectAtoms(expression, displayedAtoms);
+        const indices = [];
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i]) indices.push(i);
+        }
+        status.textContent = `${indices.length} atoms`;
+        status.classList.remove('selection-error');
+        return { expression, indices };
+    } catch (error) {
+        status.textContent = error.message;
+        status.classList.add('selection-error');
+        return null;
+    }
+}
+
+/**
+ * Rebuild the representations after visibleExpression or colorOverrides change
+ * Atom indices stay valid, so measurements are kept but only drawn while their atoms are shown;
+ * hidden atoms leave the selection.
+ */
+function updateSelectionDisplay() {
+    clearModelGeometryCache();
+    buildProteinGeometry(getDisplayedProteinData());
+    selectedAtoms = selectedAtoms.filter(isAtomShown);
+    updateSelectionHighlight();
+    updateMeasurementGeometry();
+    requestRender();
+}
+
+/**
+ * Orbit around the center of the given atoms, close enough that they fill the view
+ * @param {Array} indices - Indices into displayedAtoms
+ */
+function zoomToAtoms(indices) {
+    if (indices.length === 0) return;
+
+    const centers = indices.map(getAtomWorldPosition);
+    const center = scaleVec3(centers.reduce(addVec3), 1 / centers.length);
+    // Bounding sphere of the atom centers, with room for the atoms themselves
+    const radius = centers.reduce((r, c) => Math.max(r, lengthVec3(subtractVec3(c, center))), 0) +
+        2.0 * debugSettings.proteinScale;
+
+    cameraTarget = center;
+    currentCameraDistance = Math.max(minCameraDistance, Math.min(maxCameraDistance, radius / Math.sin(cameraFov / 2)));
+    requestRender();
+}
+
+document.getElementById('selection-select').addEventListener('click', () => {
+    const result = evaluateSelectionInput();
+    if (!result) return;
+    selectedAtoms = result.indices.filter(isAtomShown);
+    updateSelectionHighlight();
+    requestRender();
+});
+
+document.getElementById('selection-show').addEventListener('click', () => {
+    const result = evaluateSelectionInput();
+    if (!result) return;
+    visibleExpression = result.expression;
+    updateSelectionDisplay();
+});
+
+document.getElementById('selection-hide').addEventListener('click', () => {
+    const result = evaluateSelectionInput();
+    if (!result) return;
+    visibleExpression = visibleExpression
+        ? `(${visibleExpression}) and not (${result.expression})`
+        : `not (${result.expression})`;
+    updateSelectionDisplay();
+});
+
+document.getElementById('selection-color').addEventListener('click', () => {
+    const result = evaluateSelectionInput();
+    if (!result) return;
+    colorOverrides.push({ expression: result.expression, color: hexToRGB(document.getElementById('selection-color-value').value) });
+    updateSelectionDisplay();
+});
+
+document.getElementById('selection-zoom').addEventListener('click', () => {
+    const result = evaluateSelectionInput();
+    if (result) zoomToAtoms(result.indices);
+});
+
+document.getElementById('selection-reset').addEventListener('click', () => {
+    visibleExpression = null;
+    colorOverrides = [];
+    document.getElementById('selection-status').textContent = '';
+    if (proteinLoaded) updateSelectionDisplay();
+});
+
+document.getElementById('selection-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') document.getElementById('selection-select').click();
+});
+
 // ===== PROTEIN LOADING =====
 
 async function loadProteinStructure(pdbId) {
+    const requestId = ++structureRequestId;
     try {
-        console.log(`Loading protein ${pdbId} from RCSB...`);
+        console.log(`Loading protein ${pdbId}...`);
 
         // Show loading in console
         const startTime = Date.now();
 
-        // Load protein data from RCSB
-        proteinData = await fetchPDBFromRCSB(pdbId);
+        // Load protein data from the cache, the mirror or the public archives
+        const { proteinData: data, url, cached } = await fetchStructure(pdbId, {
+            baseUrl: debugSettings.structureBaseUrl,
+            useCache: debugSettings.cacheStructures
+        });
+        if (requestId !== structureRequestId) return; // Another structure was loaded meanwhile
 
         const loadTime = Date.now() - startTime;
-        console.log(`✓ Loaded ${proteinData.atoms.length} atoms and ${proteinData.bonds.length} bonds in ${loadTime}ms`);
+        console.log(`✓ Loaded ${data.atoms.length} atoms and ${data.bonds.length} bonds from ${cached ? 'cache' : url} in ${loadTime}ms`);
 
-        // Generate ball-and-stick geometry
-        proteinGeometry = generateProteinGeometrySimple(proteinData, {
-            atomScale: 1.0,
-            //atomScale: 0.3,
-            sphereDetail: 6
-        });
+        showProteinData(data);
+        rememberStructure(pdbId);
+
+    } catch (error) {
+        console.error('Failed to load protein:', error);
+        // A newer load has replaced this one, so its failure no longer matters
+        if (requestId !== structureRequestId) return;
+        alert(`Failed to load protein ${pdbId}. Check console for details.`);
+    }
+}
+
+/**
+ * Replace the displayed structure with parsed protein data
+ * @param {Object} data - From parsePDB or parseMMCIF
+ */
+function showProteinData(data) {
+    proteinData = data;
+
+    // Start from the first model of an ensemble with everything shown; the old structure's buffers are freed here
+    stopModelPlayback();
+    visibleExpression = null;
+    colorOverrides = [];
+    currentModelIndex = 0;
+    clearModelGeometryCache();
+    releaseAllBuffers();
+    updateProteinGeometry();
+    updateModelControls();
+
+    proteinLoaded = true;
+    requestRender();
+}
+
+/**
+ * Show a structure or OBJ mesh from a file on the user's disk
+ * @param {File} file - .pdb, .ent, .cif or .obj, optionally gzipped
+ */
+async function openLocalFile(file) {
+    const requestId = ++structureRequestId;
+    const status = document.getElementById('file-status');
+    status.textContent = `Loading ${file.name}...`;
+
+    try {
+        const loaded = await loadLocalFile(file);
+        if (requestId !== structureRequestId) return;
+
+        if (loaded.format === 'obj') {
+            showOBJMesh(loaded.geometry);
+            setViewMode('mesh');
+            status.textContent = `${file.name}: ${loaded.geometry.indices.length / 3} triangles`;
+        } else {
+            showProteinData(loaded.proteinData);
+            if (!proteinViewModes.includes(viewMode)) setViewMode('protein');
+            status.textContent = `${file.name}: ${loaded.proteinData.atoms.length} atoms`;
+        }
+        console.log(`✓ Opened ${file.name}`);
+    } catch (error) {
+        console.error('Failed to open file:', error);
+        status.textContent = `Failed to open ${file.name}: ${error.message}`;
+    }
+}
+
+/**
+ * Upload an OBJ mesh for the 'mesh' view, centered and scaled to fit the default camera
+ * @param {Object} geometry - From parseOBJ
+ */
+function showOBJMesh(geometry) {
+    releaseBuffers('mesh');
+
+    const source = geometry.vertices;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < source.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], source[i + k]);
+            max[k] = Math.max(max[k], source[i + k]);
+        }
+    }
+    const center = scaleVec3(addVec3(min, max), 0.5);
+    const radius = lengthVec3(subtractVec3(max, center)) || 1;
+    const fit = 4.0 / radius;
+
+    const vertices = new Float32Array(source.length);
+    for (let i = 0; i < source.length; i++) {
+        vertices[i] = (source[i] - center[i % 3]) * fit;
+    }
+
+    // OBJ files carry no colors
+    const colors = new Float32Array(source.length).fill(0.8);
+    objMeshBuffers = uploadMeshChunks({ vertices, normals: geometry.normals, colors, indices: geometry.indices }, 1.0, 'mesh');
+}
+
+document.getElementById('structure-file').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) openLocalFile(e.target.files[0]);
+    // Picking the same file again should reload it
+    e.target.value = '';
+});
+
+// Drop a file onto the canvas to open it
+const canvasWrapper = document.getElementById('canvas-wrapper');
+canvasWrapper.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    canvasWrapper.classList.add('drag-over');
+});
+canvasWrapper.addEventListener('dragleave', (e) => {
+    // Moving onto a child such as a measurement label also leaves the wrapper itself
+    if (canvasWrapper.contains(e.relatedTarget)) return;
+    canvasWrapper.classList.remove('drag-over');
+});
+canvasWrapper.addEventListener('drop', (e) => {
+    e.preventDefault();
+    canvasWrapper.classList.remove('drag-over');
+    if (e.dataTransfer.files.length > 0) openLocalFile(e.dataTransfer.files[0]);
+});
+
+/**
+ * Protein data for the current model, or every model merged when overlaying
+ */
+function getDisplayedProteinData() {
+    if (overlayModels && proteinData.models.length > 1) {
+        return mergeModels(proteinData);
+    }
+    return proteinData.models[currentModelIndex];
+}
+
+/**
+ * Regenerate atom, bond and backbone geometry for the displayed model(s)
+ * and upload it once; render() only binds these buffers
+ * @param {boolean} sameAtoms - Only the coordinates changed (another model of the ensemble),
+ *   so the selection and measurements are kept and measured again, and the previous
+ *   model's geometry is kept for when it is shown again (e.g. during playback)
+ */
+function updateProteinGeometry(sameAtoms = false) {
+    const displayedData = getDisplayedProteinData();
+    // Ensemble models share atom numbering, so indices carry over while the atom count matches
+    const keepAtomIndices = sameAtoms && displayedData.atoms.length === displayedAtoms.length;
+    displayedAtoms = displayedData.atoms;
+
+    // Models already shown since the last settings change are swapped back in instead of rebuilt
+    if (sameAtoms) stashModelGeometry();
+    const modelIndex = displayedData === proteinData.models[currentModelIndex] ? currentModelIndex : null;
+    if (modelGeometryCache.has(modelIndex)) {
+        restoreModelGeometry(modelIndex);
+    } else {
+        buildProteinGeometry(displayedData);
+    }
+    displayedModelIndex = modelIndex;
+
+    if (keepAtomIndices) {
+        selectedAtoms = selectedAtoms.filter(isAtomShown);
+        updateSelectionHighlight();
+        updateMeasurementValues();
+    } else {
+        // Atom indices refer to the previous atoms
+        clearSelection();
+        clearMeasurements();
+    }
+    updateAtomTooltip(-1);
+}
+
+/**
+ * Rebuild the colored geometry after the color scheme changes
+ * The atoms stay the same, so the selection and measurements are kept.
+ */
+function updateColorScheme() {
+    clearModelGeometryCache();
+    if (proteinLoaded) {
+        buildProteinGeometry(getDisplayedProteinData());
+    }
+    updateColorLegend();
+}
+
+/**
+ * Generate and upload every representation of the displayed atoms in the current color scheme
+ */
+function buildProteinGeometry(displayedData) {
+    // Everything from the previous model or structure is replaced below
+    releaseBuffers('structure');
+
+    // Hidden atoms keep their index so picking and measurements still line up; bonds to them are dropped
+    shownAtomMask = visibleExpression ? selectAtoms(visibleExpression, displayedData.atoms) : null;
+    shownProteinData = {
+        atoms: displayedData.atoms,
+        bonds: displayedData.bonds.filter(bond => isAtomShown(bond.atom1) && isAtomShown(bond.atom2))
+    };
+
+    const schemeOptions = { residueColors: debugSettings.residueColors };
+    const overrides = evaluateColorOverrides(displayedData.atoms);
+    atomColorScheme = applyColorOverrides(
+        createColorScheme(debugSettings.colorScheme, displayedData.atoms, schemeOptions), overrides);
+    // Element colors say little about CA atoms, so traces use chain colors instead
+    const traceScheme = debugSettings.colorScheme === 'element' ? 'chain' : debugSettings.colorScheme;
+    traceColorScheme = applyColorOverrides(createColorScheme(traceScheme, displayedData.atoms, schemeOptions), overrides);
+
+    // Generate ball-and-stick geometry
+    proteinGeometry = generateProteinGeometrySimple(shownProteinData, {
+        atomScale: 0.25, // Van der Waals radii shrunk to bead size
+        sphereDetail: 6,
+        colorFn: atomColorScheme.colorOf
+    });
+    bondLineBuffer = createTrackedBuffer('structure', gl.ARRAY_BUFFER, new Float32Array(proteinGeometry.bonds.positions));
+
+    // Space-filling sphere detail depends on how many atoms there are to draw
+    updateSpacefillSphere(getShownAtoms().length);
+
+    // Per-atom sphere positions, van der Waals radii and colors
+    atomInstances = uploadAtomInstances(proteinGeometry.atoms, proteinGeometry.atoms.vdwRadii,
+        i => isAtomShown(i) && proteinGeometry.atoms.elements[i] !== 'H');
+    spacefillInstances = uploadAtomInstances(proteinGeometry.atoms, proteinGeometry.atoms.vdwRadii, isAtomShown);
+
+    // Generate backbone trace geometry
+    const backboneTrace = extractBackboneTrace({ atoms: getShownAtoms() });
+    backboneGeometry = generateBackboneGeometry(backboneTrace, 0.3, { colorFn: traceColorScheme.colorOf });
+    backboneLineBuffer = createTrackedBuffer('structure', gl.ARRAY_BUFFER, new Float32Array(backboneGeometry.positions));
+
+    // Generate cartoon geometry
+    const cartoonGeometry = generateCartoonGeometry(backboneTrace, 0.3, { colorFn: traceColorScheme.colorOf });
+    cartoonBuffers = uploadMeshChunks(cartoonGeometry);
+
+    // Generate oriented bond cylinders for the stick bond style
+    updateStickGeometry();
+
+    // The surface is slow to compute, so only rebuild it when it is next shown
+    clearSurfaceGeometry();
+    updateColorLegend();
+
+    console.log(`✓ Generated geometry for rendering`);
+    console.log(`✓ Backbone trace: ${backboneTrace.atoms.length} CA atoms, ${backboneTrace.segments.length} segments`);
+    console.log(`✓ Cartoon: ${cartoonGeometry.vertices.length / 3} vertices`);
+}
+
+/**
+ * Build ball-and-stick bond cylinders (meshes and impostor instances) for the shown bonds
+ */
+function updateStickGeometry() {
+    releaseBuffers('sticks');
+
+    const ballAndStick = createBallAndStick(shownProteinData, { bondRadius: 0.12, colorFn: atomColorScheme.colorOf });
+    const bondGeometries = ballAndStick.bondGeometries;
+
+    bondInstances = uploadBondInstances(bondGeometries, debugSettings.splitBondColors);
+
+    const stickGeometry = generateProteinGeometry({ atomGeometries: [], bondGeometries }, createSphere, createCylinder, {
+        splitBonds: debugSettings.splitBondColors
+    });
+    stickBuffers = uploadMeshChunks(stickGeometry, 1.0, 'sticks');
+}
+
+/**
+ * Colors from colorOverrides for the atoms they select
+ * @param {Array} atoms - Displayed atom records
+ * @returns {Map} Atom record to [r, g, b]
+ */
+function evaluateColorOverrides(atoms) {
+    const overrides = new Map();
+    for (const override of colorOverrides) {
+        const mask = selectAtoms(override.expression, atoms);
+        for (let i = 0; i < atoms.length; i++) {
+            if (mask[i]) overrides.set(atoms[i], override.color);
+        }
+    }
+    return overrides;
+}
 
-        // Generate backbone trace geometry
-        const backboneTrace = extractBackboneTrace(proteinData);
-        backboneGeometry = generateBackboneGeometry(backboneTrace, 0.3);
+// Color scheme with overridden atoms taking their override color
+function applyColorOverrides(scheme, overrides) {
+    if (overrides.size === 0) return scheme;
+    return { colorOf: atom => overrides.get(atom) || scheme.colorOf(atom), legend: scheme.legend };
+}
 
-        console.log(`✓ Generated geometry for rendering`);
-        console.log(`✓ Backbone trace: ${backboneTrace.atoms.length} CA atoms, ${backboneTrace.segments.length} segments`);
+/**
+ * Start computing the molecular surface of the shown atoms if it is missing
+ * An SES takes seconds on large structures, so it is generated in surface-worker.js
+ * and uploaded when it arrives (see receiveSurfaceGeometry).
+ * @returns {boolean} Whether surfaceBuffers are ready to draw
+ */
+function ensureSurfaceGeometry() {
+    if (surfaceBuffers) return true;
+    if (surfaceRequest) return false;
+
+    const atoms = getShownAtoms();
+    surfaceRequest = {
+        id: ++surfaceRequestCounter,
+        structureRequestId,
+        atoms,
+        colorOf: atomColorScheme.colorOf,
+        startTime: Date.now()
+    };
+    updateSurfaceStatus();
+
+    // Only the fields the surface depends on are copied to the worker
+    const message = {
+        id: surfaceRequest.id,
+        atoms: atoms.map(({ x, y, z, element, resName }) => ({ x, y, z, element, resName })),
+        options: { type: debugSettings.surfaceType, probeRadius: debugSettings.probeRadius }
+    };
+    const worker = getSurfaceWorker();
+    if (worker) {
+        worker.postMessage(message);
+    } else {
+        // Still blocks the page, but after the atoms and the status have been drawn
+        setTimeout(() => generateSurfaceInPage(message), 50);
+    }
+    return false;
+}
 
-        proteinLoaded = true;
-        render();
+/**
+ * The surface worker, started on first use
+ * Pages opened from file:// may not start workers; surfaces are then generated in the page.
+ * @returns {Worker|null} The worker, or null if workers cannot be used
+ */
+function getSurfaceWorker() {
+    if (surfaceWorker !== undefined) return surfaceWorker;
 
+    let worker;
+    try {
+        worker = new Worker('surface-worker.js');
     } catch (error) {
-        console.error('Failed to load protein:', error);
-        alert(`Failed to load protein ${pdbId}. Check console for details.`);
+        console.warn(`Generating surfaces without a worker: ${error.message}`);
+        surfaceWorker = null;
+        return null;
+    }
+    worker.onmessage = (e) => {
+        if (e.data.error) {
+            failSurfaceRequest(e.data.id, e.data.error);
+        } else {
+            receiveSurfaceGeometry(e.data.id, e.data.geometry);
+        }
+    };
+    // The script itself failed to load, so the pending request is generated in the page instead
+    worker.onerror = (e) => {
+        e.preventDefault();
+        worker.terminate();
+        if (worker !== surfaceWorker) return;
+
+        console.warn(`Generating surfaces without a worker: ${e.message}`);
+        surfaceWorker = null;
+        if (surfaceRequest) {
+            surfaceRequest = null;
+            requestRender();
+        }
+    };
+    surfaceWorker = worker;
+    return worker;
+}
+
+function generateSurfaceInPage(message) {
+    if (!surfaceRequest || surfaceRequest.id !== message.id) return;
+    try {
+        receiveSurfaceGeometry(message.id, generateMolecularSurface(message.atoms, message.options));
+    } catch (error) {
+        failSurfaceRequest(message.id, error.message);
     }
 }
 
-//// ===== ANIMATION LOOP =====
-//
-//function animate() {
-//    render();
-//    requestAnimationFrame(animate);
-//}
+/**
+ * Color and upload a finished surface, unless the structure, model or settings changed since it was requested
+ * @param {number} id - Request id from ensureSurfaceGeometry
+ * @param {Object} geometry - {vertices, normals, indices, atomIndices} from generateMolecularSurface
+ */
+function receiveSurfaceGeometry(id, geometry) {
+    const request = surfaceRequest;
+    if (!request || request.id !== id) return;
+    surfaceRequest = null;
+
+    // Another structure was requested meanwhile; render() asks again if this one is still shown
+    if (request.structureRequestId !== structureRequestId) {
+        updateSurfaceStatus();
+        requestRender();
+        return;
+    }
+    const { atoms, colorOf, startTime } = request;
+    console.log(`✓ Surface generated in ${Date.now() - startTime}ms`);
+
+    geometry.colors = colorSurfaceVertices(geometry.atomIndices, atoms, colorOf);
+    surfaceBuffers = uploadMeshChunks(geometry, 1.0, 'surface');
+    updateSurfaceStatus();
+    requestRender();
+}
+
+function failSurfaceRequest(id, message) {
+    if (!surfaceRequest || surfaceRequest.id !== id) return;
+    console.error(`Surface generation failed: ${message}`);
+    // Kept pending so that render() does not start it again
+    surfaceRequest.error = message;
+    updateSurfaceStatus();
+}
+
+/**
+ * Forget the surface being computed; a worker busy with it is stopped so the next one starts at once
+ */
+function cancelSurfaceRequest() {
+    if (!surfaceRequest) return;
+    if (surfaceWorker && !surfaceRequest.error) {
+        surfaceWorker.terminate();
+        surfaceWorker = undefined;
+    }
+    surfaceRequest = null;
+    updateSurfaceStatus();
+}
+
+function clearSurfaceGeometry() {
+    cancelSurfaceRequest();
+    releaseBuffers('surface');
+    surfaceBuffers = null;
+}
+
+// Show whether the surface view is waiting for its surface
+function updateSurfaceStatus() {
+    const status = document.getElementById('surface-status');
+    const waiting = surfaceRequest && viewMode === 'surface';
+    status.style.display = waiting ? 'block' : 'none';
+    if (waiting) {
+        status.textContent = surfaceRequest.error ? `Surface failed: ${surfaceRequest.error}` : 'Computing surface…';
+    }
+}
+
+/**
+ * Show the legend of the color scheme used by the current view
+ */
+function updateColorLegend() {
+    const container = document.getElementById('color-legend');
+    const scheme = !proteinLoaded ? null
+        : isAtomView() ? atomColorScheme
+        : ['backbone', 'cartoon'].includes(viewMode) ? traceColorScheme : null;
+
+    container.innerHTML = '';
+    if (!scheme) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const legend = scheme.legend;
+    const title = document.createElement('div');
+    title.className = 'legend-title';
+    title.textContent = legend.title;
+    container.appendChild(title);
+
+    if (legend.gradient) {
+        const bar = document.createElement('div');
+        bar.className = 'legend-gradient';
+        bar.style.background = `linear-gradient(to right, ${legend.gradient.map(rgbToCSS).join(', ')})`;
+        container.appendChild(bar);
+
+        const range = document.createElement('div');
+        range.className = 'legend-range';
+        for (const text of [legend.minLabel, legend.maxLabel]) {
+            const label = document.createElement('span');
+            label.textContent = text;
+            range.appendChild(label);
+        }
+        container.appendChild(range);
+    } else {
+        // Long lists (many chains or residue types) are cut short
+        const maxEntries = 16;
+        for (const entry of legend.entries.slice(0, maxEntries)) {
+            const row = document.createElement('div');
+            row.className = 'legend-entry';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = rgbToCSS(entry.color);
+            row.appendChild(swatch);
+            row.appendChild(document.createTextNode(entry.label));
+            container.appendChild(row);
+        }
+        if (legend.entries.length > maxEntries) {
+            const more = document.createElement('div');
+            more.className = 'legend-entry';
+            more.textContent = `+${legend.entries.length - maxEntries} more`;
+            container.appendChild(more);
+        }
+    }
+
+    container.style.display = 'block';
+}
+
+/**
+ * Upload per-atom sphere attributes for renderAtomSpheres
+ * @param {Object} atomsGeometry - proteinGeometry.atoms (positions, colors, elements)
+ * @param {Array} radii - Per-atom radius in Angstroms
+ * @param {Function} include - index => whether to draw that atom, all atoms if omitted
+ * @param {string} group - Buffer group, see createTrackedBuffer
+ * @returns {Object} Instance buffers plus the CPU arrays used without instancing
+ */
+function uploadAtomInstances(atomsGeometry, radii, include = null, group = 'structure') {
+    const offsets = [];
+    const instanceRadii = [];
+    const colors = [];
+
+    const numAtoms = atomsGeometry.positions.length / 3;
+    for (let i = 0; i < numAtoms; i++) {
+        if (include && !include(i)) continue;
+
+        offsets.push(
+            atomsGeometry.positions[i * 3],
+            atomsGeometry.positions[i * 3 + 1],
+            atomsGeometry.positions[i * 3 + 2]
+        );
+        instanceRadii.push(radii[i]);
+        colors.push(atomsGeometry.colors[i * 3], atomsGeometry.colors[i * 3 + 1], atomsGeometry.colors[i * 3 + 2]);
+    }
+
+    const instances = {
+        offsets: new Float32Array(offsets),
+        radii: new Float32Array(instanceRadii),
+        colors: new Float32Array(colors),
+        count: instanceRadii.length
+    };
+
+    instances.offsetBuffer = createTrackedBuffer(group, gl.ARRAY_BUFFER, instances.offsets);
+    instances.radiusBuffer = createTrackedBuffer(group, gl.ARRAY_BUFFER, instances.radii);
+    instances.colorBuffer = createTrackedBuffer(group, gl.ARRAY_BUFFER, instances.colors);
+
+    return instances;
+}
+
+/**
+ * Upload per-bond cylinder attributes for renderCylinderImpostors
+ * @param {Array} bondGeometries - Bonds from createBallAndStick
+ * @param {boolean} splitColors - Color each bond half by its atom
+ * @returns {Object} Instance buffers and the bond count
+ */
+function uploadBondInstances(bondGeometries, splitColors) {
+    const starts = [];
+    const ends = [];
+    const radii = [];
+    const startColors = [];
+    const endColors = [];
+
+    for (const bond of bondGeometries) {
+        starts.push(...bond.start);
+        ends.push(...bond.end);
+        radii.push(bond.radius);
+        startColors.push(...(splitColors ? bond.startColor : bond.color));
+        endColors.push(...(splitColors ? bond.endColor : bond.color));
+    }
+
+    // Rebuilt with the stick meshes when the bond colors change
+    const upload = (data) => createTrackedBuffer('sticks', gl.ARRAY_BUFFER, new Float32Array(data));
+
+    return {
+        startBuffer: upload(starts),
+        endBuffer: upload(ends),
+        radiusBuffer: upload(radii),
+        startColorBuffer: upload(startColors),
+        endColorBuffer: upload(endColors),
+        count: bondGeometries.length
+    };
+}
+
+/**
+ * Upload {vertices, normals, colors, indices} geometry into GL buffers
+ * @param {Object} geometry - Mesh, with optional per-vertex colors
+ * @param {number} scale - Uniform scale applied when drawing
+ * @param {string|null} group - Buffer group to free it with, or null to keep it for the page's lifetime
+ * @returns {Object} Buffers for renderMesh
+ */
+function uploadMeshGeometry(geometry, scale = 1.0, group = 'structure') {
+    return {
+        vertexBuffer: createTrackedBuffer(group, gl.ARRAY_BUFFER, geometry.vertices),
+        normalBuffer: createTrackedBuffer(group, gl.ARRAY_BUFFER, geometry.normals),
+        // Unit spheres for atoms are colored per instance instead
+        colorBuffer: geometry.colors ? createTrackedBuffer(group, gl.ARRAY_BUFFER, geometry.colors) : null,
+        indexBuffer: createTrackedBuffer(group, gl.ELEMENT_ARRAY_BUFFER, geometry.indices),
+        indexCount: geometry.indices.length,
+        indexType: geometry.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+        scale: scale
+    };
+}
+
+/**
+ * Upload a mesh of any size: in one piece with 32-bit indices when the context
+ * supports them, otherwise split into pieces that fit 16-bit indices
+ * @returns {Array} Buffers for renderMesh, one per piece
+ */
+function uploadMeshChunks(geometry, scale = 1.0, group = 'structure') {
+    if (geometry.indices instanceof Uint32Array && !uintIndicesSupported) {
+        return splitMeshGeometry(geometry).map(chunk => uploadMeshGeometry(chunk, scale, group));
+    }
+    return [uploadMeshGeometry(geometry, scale, group)];
+}
+
+// ===== STORED SETTINGS =====
+
+/**
+ * Read a value saved in localStorage
+ * Storage can be blocked (privacy settings, sandboxed frames), which counts as nothing saved.
+ * @returns {string|null} The saved value, or null
+ */
+function readStoredValue(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        console.warn(`Cannot read ${key} from localStorage: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Save a value in localStorage; blocked or full storage only loses the value
+ */
+function writeStoredValue(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.warn(`Cannot save ${key} to localStorage: ${error.message}`);
+    }
+}
+
+// ===== GPU BUFFERS =====
+
+/**
+ * Create and fill a static GL buffer, remembering it under a group name
+ * Groups are 'structure' (rebuilt with the model), 'sticks' and 'surface'
+ * (rebuilt on their own settings), 'spacefill' (the shared unit sphere, see updateSpacefillSphere)
+ * and 'mesh' (an opened OBJ file); null buffers are never freed.
+ * Ensemble models that are not displayed keep theirs as e.g. 'structure@3', see stashModelGeometry.
+ * @param {string|null} group - Group that releaseBuffers frees it with
+ * @param {number} target - gl.ARRAY_BUFFER or gl.ELEMENT_ARRAY_BUFFER
+ * @param {ArrayBufferView} data - Buffer contents
+ * @returns {WebGLBuffer} The new buffer
+ */
+function createTrackedBuffer(group, target, data) {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(target, buffer);
+    gl.bufferData(target, data, gl.STATIC_DRAW);
+
+    if (group) {
+        if (!trackedBuffers.has(group)) {
+            trackedBuffers.set(group, []);
+        }
+        trackedBuffers.get(group).push(buffer);
+    }
+
+    return buffer;
+}
+
+// Delete every buffer created in a group
+function releaseBuffers(group) {
+    for (const buffer of trackedBuffers.get(group) || []) {
+        gl.deleteBuffer(buffer);
+    }
+    trackedBuffers.delete(group);
+}
+
+// Delete all structure buffers, e.g. before another protein is loaded; an opened OBJ mesh
+// and the space-filling sphere, which belong to no structure, stay
+function releaseAllBuffers() {
+    for (const group of [...trackedBuffers.keys()]) {
+        if (group !== 'mesh' && group !== 'spacefill') releaseBuffers(group);
+    }
+}
+
+// ===== MODEL STEPPER =====
+
+function setModel(index) {
+    if (!proteinData) return;
+
+    // Wrap around so stepping and playback cycle through the ensemble
+    const modelCount = proteinData.models.length;
+    currentModelIndex = ((index % modelCount) + modelCount) % modelCount;
+
+    updateProteinGeometry(true);
+    updateModelControls();
+    requestRender();
+}
+
+/**
+ * Park the representations of the displayed model so that showing it again only swaps them back
+ * Its buffers move to groups named after the model, out of reach of the next build. The cache
+ * is kept in the order models were last shown, and the oldest are freed once the parked models
+ * together exceed modelCacheAtomBudget atoms.
+ */
+function stashModelGeometry() {
+    if (displayedModelIndex === null) return;
+
+    // A surface still being computed would arrive for the wrong model
+    cancelSurfaceRequest();
+
+    for (const group of modelBufferGroups) {
+        if (!trackedBuffers.has(group)) continue;
+        trackedBuffers.set(`${group}@${displayedModelIndex}`, trackedBuffers.get(group));
+        trackedBuffers.delete(group);
+    }
+    modelGeometryCache.set(displayedModelIndex, {
+        shownAtomMask, shownProteinData, atomColorScheme, traceColorScheme,
+        proteinGeometry, bondLineBuffer,
+        atomInstances, spacefillInstances, backboneGeometry, backboneLineBuffer,
+        cartoonBuffers, bondInstances, stickBuffers, surfaceBuffers
+    });
+
+    let cachedAtoms = 0;
+    for (const cached of modelGeometryCache.values()) {
+        cachedAtoms += cached.shownProteinData.atoms.length;
+    }
+    for (const [index, cached] of modelGeometryCache) {
+        if (cachedAtoms <= modelCacheAtomBudget) break;
+        cachedAtoms -= cached.shownProteinData.atoms.length;
+        releaseModelGeometry(index);
+    }
+}
+
+/**
+ * Show the parked representations of a model in place of the current ones
+ * @param {number} index - Model index with an entry in modelGeometryCache
+ */
+function restoreModelGeometry(index) {
+    cancelSurfaceRequest();
+    for (const group of modelBufferGroups) {
+        releaseBuffers(group);
+        const parked = `${group}@${index}`;
+        if (!trackedBuffers.has(parked)) continue;
+        trackedBuffers.set(group, trackedBuffers.get(parked));
+        trackedBuffers.delete(parked);
+    }
+    ({
+        shownAtomMask, shownProteinData, atomColorScheme, traceColorScheme,
+        proteinGeometry, bondLineBuffer,
+        atomInstances, spacefillInstances, backboneGeometry, backboneLineBuffer,
+        cartoonBuffers, bondInstances, stickBuffers, surfaceBuffers
+    } = modelGeometryCache.get(index));
+    modelGeometryCache.delete(index);
+    updateColorLegend();
+}
+
+// Free the parked representations of one model
+function releaseModelGeometry(index) {
+    for (const group of modelBufferGroups) {
+        releaseBuffers(`${group}@${index}`);
+    }
+    modelGeometryCache.delete(index);
+}
+
+// Free the parked models, whose representations no longer match the display settings
+function clearModelGeometryCache() {
+    for (const index of [...modelGeometryCache.keys()]) {
+        releaseModelGeometry(index);
+    }
+}
+
+function startModelPlayback() {
+    if (!proteinData || proteinData.models.length < 2) return;
+
+    overlayModels = false;
+    document.getElementById('model-overlay').checked = false;
+    modelPlayTimer = setInterval(() => setModel(currentModelIndex + 1), modelPlayInterval);
+    updateModelControls();
+}
+
+function stopModelPlayback() {
+    if (!modelPlayTimer) return;
+
+    clearInterval(modelPlayTimer);
+    modelPlayTimer = null;
+    updateModelControls();
+}
+
+function updateModelControls() {
+    const modelCount = proteinData ? proteinData.models.length : 1;
+
+    // Only show the stepper for multi-model entries
+    document.getElementById('model-controls').style.display = modelCount > 1 ? '' : 'none';
+    document.getElementById('model-label').textContent = overlayModels
+        ? `All ${modelCount} models`
+        : `Model ${proteinData.models[currentModelIndex].id} (${currentModelIndex + 1} / ${modelCount})`;
+    document.getElementById('model-play').textContent = modelPlayTimer ? 'Pause' : 'Play';
+}
+
+// ===== ANIMATION LOOP =====
+
+// Frames are only drawn on request; the loop keeps going while the view is moving
+let animationFrameId = null;
+let lastFrameTime = 0;
+
+/**
+ * Schedule a redraw on the next animation frame
+ * Several requests before that frame are drawn once.
+ */
+function requestRender() {
+    if (animationFrameId === null) {
+        animationFrameId = requestAnimationFrame(animate);
+    }
+}
+
+function animate(time) {
+    animationFrameId = null;
+
+    // Seconds since the previous frame, capped so a stalled tab doesn't jump
+    const deltaTime = lastFrameTime ? Math.min((time - lastFrameTime) / 1000, 0.1) : 1 / 60;
+    lastFrameTime = time;
+
+    // Inertia: keep turning after a drag, slowing down exponentially
+    if (!isDragging && (rotationVelocityX !== 0 || rotationVelocityY !== 0)) {
+        rotationX += rotationVelocityX * deltaTime;
+        rotationY += rotationVelocityY * deltaTime;
+        rotationX = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotationX));
+
+        const decay = Math.exp(-rotationDamping * deltaTime);
+        rotationVelocityX *= decay;
+        rotationVelocityY *= decay;
+        if (Math.abs(rotationVelocityX) < 1e-3 && Math.abs(rotationVelocityY) < 1e-3) {
+            rotationVelocityX = 0;
+            rotationVelocityY = 0;
+        }
+    }
+
+    if (!isDragging && lengthVec3(arcballVelocity) > 0) {
+        rotateArcball(scaleVec3(arcballVelocity, deltaTime));
+        arcballVelocity = scaleVec3(arcballVelocity, Math.exp(-rotationDamping * deltaTime));
+        if (lengthVec3(arcballVelocity) < 1e-3) {
+            arcballVelocity = [0, 0, 0];
+        }
+    }
+
+    // Auto spin turns the camera around the world Y axis in either rotation mode
+    if (debugSettings.autoSpin && !isDragging) {
+        if (debugSettings.rotationMode === 'arcball') {
+            const spin = quatFromAxisAngle([0, 1, 0], debugSettings.spinSpeed * deltaTime);
+            cameraOrientation = normalizeQuat(multiplyQuat(spin, cameraOrientation));
+        } else {
+            rotationY += debugSettings.spinSpeed * deltaTime;
+        }
+    }
+
+    render();
+
+    // Go idle once nothing is moving
+    const coasting = rotationVelocityX !== 0 || rotationVelocityY !== 0 || lengthVec3(arcballVelocity) > 0;
+    const spinning = debugSettings.autoSpin && debugSettings.spinSpeed !== 0;
+    const moving = !isDragging && (spinning || coasting);
+    if (moving) {
+        requestRender();
+    } else {
+        lastFrameTime = 0;
+    }
+}
 
 // ===== INITIALIZATION =====
 
@@ -803,10 +3179,15 @@ async function loadProteinStructure(pdbId) {
 initSphereGeometry();
 
 // Start rendering first
-//animate();
+requestRender();
 
-// Load default protein on startup (after render loop starts)
-loadProteinStructure('5IYN');
+// Load the protein from ?pdb=XXXX, or the default one, on startup (after render loop starts)
+updateRecentStructures();
+const requestedPDBId = new URLSearchParams(window.location.search).get('pdb');
+if (requestedPDBId && !parsePDBId(requestedPDBId)) {
+    console.warn(`Ignoring invalid ?pdb=${requestedPDBId}`);
+}
+loadProteinStructure(parsePDBId(requestedPDBId || '') || '5IYN');
 
 // Debug Settings
 // Full documentation of lil-gui at: https://lil-gui.georgealways.com/
@@ -830,11 +3211,31 @@ const proteinFolder = gui.addFolder('Protein');
 proteinFolder
     .add(debugSettings, 'beadRadius', 0.1, 1.0)
     .name('Bead Size');
+proteinFolder
+    .add(debugSettings, 'proteinScale', 0.1, 3.0)
+    .name('Protein Scale');
 //proteinFolder.open();
 
+// Structure source folder (mirror URL is remembered across visits)
+const sourceFolder = gui.addFolder('Structure Source');
+sourceFolder
+    .add(debugSettings, 'structureBaseUrl')
+    .name('Mirror URL')
+    .onFinishChange((value) => writeStoredValue('structureBaseUrl', value.trim()));
+sourceFolder
+    .add(debugSettings, 'cacheStructures')
+    .name('Cache Downloads');
+sourceFolder
+    .add(debugSettings, 'clearStructureCache')
+    .name('Clear Cache');
+//sourceFolder.open();
+
 // Display settings folder
 const displayFolder = gui.addFolder('Display');
 // Can also nest folders inside of folders (just organize the Debug UI)
+displayFolder
+    .addColor(debugSettings, 'backgroundColor')
+    .name('Background');
 displayFolder
     .add(debugSettings, 'showGrid')
     .name('Show Grid');
@@ -844,10 +3245,75 @@ displayFolder
 displayFolder
     .add(debugSettings, 'showBonds')
     .name('Show Bonds');
+displayFolder
+    .add(debugSettings, 'bondStyle', ['lines', 'cylinders'])
+    .name('Bond Style')
+    .onChange(() => requestRender());
+displayFolder
+    .add(debugSettings, 'impostors')
+    .name('Impostor Spheres')
+    .onChange(() => requestRender());
+displayFolder
+    .add(debugSettings, 'splitBondColors')
+    .name('Split Bond Colors')
+    .onChange(() => {
+        if (!proteinLoaded) return;
+        clearModelGeometryCache();
+        updateStickGeometry();
+        requestRender();
+    });
+displayFolder
+    .add(debugSettings, 'colorScheme', Object.fromEntries(Object.entries(colorSchemes).map(([id, scheme]) => [scheme.name, id])))
+    .name('Color Scheme')
+    .onChange(() => updateColorScheme());
+displayFolder
+    .add(debugSettings, 'residueColors')
+    .name('Residue Colors')
+    .onFinishChange(() => {
+        if (debugSettings.colorScheme === 'custom') updateColorScheme();
+    });
 //displayFolder.open();
 
+// Surface settings folder
+const surfaceFolder = gui.addFolder('Surface');
+surfaceFolder
+    .add(debugSettings, 'surfaceType', { 'Solvent excluded (SES)': 'ses', 'Solvent accessible (SAS)': 'sas' })
+    .name('Surface Type')
+    .onChange(() => {
+        clearModelGeometryCache();
+        clearSurfaceGeometry();
+        requestRender();
+    });
+surfaceFolder
+    .add(debugSettings, 'probeRadius', 0.5, 2.0)
+    .name('Probe Radius')
+    .onFinishChange(() => {
+        clearModelGeometryCache();
+        clearSurfaceGeometry();
+        requestRender();
+    });
+
+// Camera settings folder
+const cameraFolder = gui.addFolder('Camera');
+cameraFolder
+    .add(debugSettings, 'rotationMode', { 'Orbit': 'orbit', 'Arcball': 'arcball' })
+    .name('Rotation')
+    .onChange(syncRotationMode);
+cameraFolder
+    .add(debugSettings, 'inertia')
+    .name('Inertia');
+cameraFolder
+    .add(debugSettings, 'autoSpin')
+    .name('Auto Spin');
+cameraFolder
+    .add(debugSettings, 'spinSpeed', -2, 2)
+    .name('Spin Speed');
+
 // Lighting settings folder
 const lightingFolder = gui.addFolder('Lighting');
+lightingFolder
+    .add(debugSettings, 'lightMode', { 'Fixed to world': 'world', 'Fixed to camera': 'camera' })
+    .name('Light');
 lightingFolder
     .add(debugSettings, 'lightX', -10, 10)
     .name('Light X');
@@ -862,4 +3328,7 @@ lightingFolder
     .name('Ambient');
 lightingFolder
     .add(debugSettings, 'diffuseStrength', 0, 1)
-    .name('Diffuse');
\ No newline at end of file
+    .name('Diffuse');
+
+// Any setting change may affect the picture, so redraw (or restart the spin loop)
+gui.onChange(() => requestRender());